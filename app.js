@@ -2,34 +2,100 @@
  * app.js — Main application: file handling, texture rendering, layer navigation, zoom/pan
  *          + flood-fill connected block highlighting & dimension tooltip
  */
-import { read } from 'https://cdn.jsdelivr.net/npm/nbtify@2/+esm';
-import { parseSchem, parseLitematic } from './parser.js';
-import { getBlockColor, getBlockDisplayName, isAir, getTexture, preloadTextures, getTextureFile, getBaseBlockId } from './blockColors.js';
-import { init3DViewer, build3DModelAsync, clear3DModel, resetCamera3D, setHighlightLayer3D, set3DTheme } from './viewer3d.js';
+import { schematicFromData, getSchematicMemory, getMinecraftVersion } from './parser.js';
+import { getBlockColor, getBlockDisplayName, isAir, preloadTextures, getTextureFile, getTextureUrl, getPaletteInfo, setResourcePackTextures } from './blockColors.js';
+import { init3DViewer, build3DModelAsync, clear3DModel, resetCamera3D, setHighlightLayer3D, setMatchHighlight3D, set3DTheme } from './viewer3d.js';
+import { exportSchematic, EXPORT_FORMATS } from './exporter.js';
+import { addBlockItems, blockStateToItems, countPaletteItems, countMaterials, toMaterialRows, formatAmount, BREAKDOWN_UNITS, materialsToCSV, materialsToJSON, materialsToPrintableHTML } from './materials.js';
+import { resolveRawResources } from './recipes.js';
+import { escapeHtml } from './html.js';
+import { loadProgress, saveProgress, createProgressFile, readProgressFile } from './progressStore.js';
+import { readResourcePack, saveResourcePack, loadSavedResourcePack, clearSavedResourcePack } from './resourcePack.js';
+import { createSwapRule, describeSwaps, applyPaletteSwaps } from './paletteSwap.js';
+import { IDENTITY_TRANSFORM, isIdentityTransform, describeTransform, transformSchematic, transformColumn, inverseTransformColumn } from './transform.js';
 
 // ─── DOM Elements ───
 
 const dropZone = document.getElementById('drop-zone');
 const fileInput = document.getElementById('file-input');
 const fileBadgeContainer = document.getElementById('file-badge-container');
+const packName = document.getElementById('pack-name');
+const packSkipped = document.getElementById('pack-skipped');
+const btnPackLoad = document.getElementById('btn-pack-load');
+const btnPackReset = document.getElementById('btn-pack-reset');
+const packFileInput = document.getElementById('pack-file-input');
 const btnThemeToggle = document.getElementById('btn-theme-toggle');
 const infoPanel = document.getElementById('info-panel');
 const layerPanel = document.getElementById('layer-panel');
 const tooltipPanel = document.getElementById('tooltip-panel');
 const viewPanel = document.getElementById('view-panel');
 const materialsPanel = document.getElementById('materials-panel');
+const progressPanel = document.getElementById('progress-panel');
+const progressPercent = document.getElementById('progress-percent');
+const progressFill = document.getElementById('progress-fill');
+const progressDetail = document.getElementById('progress-detail');
+const btnProgressExport = document.getElementById('btn-progress-export');
+const btnProgressImport = document.getElementById('btn-progress-import');
+const progressFileInput = document.getElementById('progress-file-input');
+const progressImportChoice = document.getElementById('progress-import-choice');
+const progressImportText = document.getElementById('progress-import-text');
+const layerProgressFill = document.getElementById('layer-progress-fill');
+const layerProgressLabel = document.getElementById('layer-progress-label');
+const regionsPanel = document.getElementById('regions-panel');
+const regionList = document.getElementById('region-list');
+const regionCountBadge = document.getElementById('region-count-badge');
 const matList = document.getElementById('mat-list');
+const matLocate = document.getElementById('mat-locate');
+const matLocateName = document.getElementById('mat-locate-name');
+const matLocateCount = document.getElementById('mat-locate-count');
+const btnLocatePrev = document.getElementById('btn-locate-prev');
+const btnLocateNext = document.getElementById('btn-locate-next');
+const btnLocateClear = document.getElementById('btn-locate-clear');
+const swapPanel = document.getElementById('swap-panel');
+const swapForm = document.getElementById('swap-form');
+const swapFrom = document.getElementById('swap-from');
+const swapTo = document.getElementById('swap-to');
+const swapBlockIds = document.getElementById('swap-block-ids');
+const swapList = document.getElementById('swap-list');
+const swapCountBadge = document.getElementById('swap-count-badge');
+const swapActions = document.getElementById('swap-actions');
+const btnSwapClear = document.getElementById('btn-swap-clear');
 const matSearch = document.getElementById('mat-search');
 const matTotalBadge = document.getElementById('mat-total-badge');
+const matUnitToggle = document.getElementById('mat-unit-toggle');
+const matModeToggle = document.getElementById('mat-mode-toggle');
+const matStonecutterOption = document.getElementById('mat-stonecutter-option');
+const chkStonecutter = document.getElementById('chk-stonecutter');
+const matRawSummary = document.getElementById('mat-raw-summary');
+const matExportScope = document.getElementById('mat-export-scope');
+const matExportRange = document.getElementById('mat-export-range');
+const matExportFrom = document.getElementById('mat-export-from');
+const matExportTo = document.getElementById('mat-export-to');
+const matExportActions = document.getElementById('mat-export-actions');
 const layerSlider = document.getElementById('layer-slider');
 const layerDisplay = document.getElementById('layer-display');
+const layerAxisLabel = document.getElementById('layer-axis-label');
+const sliceAxisToggle = document.getElementById('slice-axis-toggle');
+const matExportAxis = document.getElementById('mat-export-axis');
 const btnLayerUp = document.getElementById('btn-layer-up');
 const btnLayerDown = document.getElementById('btn-layer-down');
+const btnResetLayerProgress = document.getElementById('btn-reset-layer-progress');
 const btnResetView = document.getElementById('btn-reset-view');
 const btnToggleGrid = document.getElementById('btn-toggle-grid');
+const btnToggleChunks = document.getElementById('btn-toggle-chunks');
+const originInputs = {
+    x: document.getElementById('origin-x'),
+    y: document.getElementById('origin-y'),
+    z: document.getElementById('origin-z'),
+};
+const btnOriginReset = document.getElementById('btn-origin-reset');
 const tooltipInfo = document.getElementById('tooltip-info');
 const emptyState = document.getElementById('empty-state');
 const loadingOverlay = document.getElementById('loading-overlay');
+const loadingBarFill = document.getElementById('loading-bar-fill');
+const loadingStage = document.getElementById('loading-stage');
+const loadingPercent = document.getElementById('loading-percent');
+const loadingCancel = document.getElementById('btn-loading-cancel');
 const canvas = document.getElementById('schematic-canvas');
 const ctx = canvas.getContext('2d');
 const canvasArea = document.getElementById('canvas-area');
@@ -42,14 +108,29 @@ const viewActions3d = document.getElementById('view-actions-3d');
 const canvas3dContainer = document.getElementById('canvas-3d-container');
 const btnResetCamera3d = document.getElementById('btn-reset-camera-3d');
 const chkHighlight3d = document.getElementById('chk-highlight-3d');
+const orientationActions = document.getElementById('orientation-actions');
+const orientationStatus = document.getElementById('orientation-status');
 
 // ─── State ───
 
-/** @type {import('./parser.js').Schematic|null} */
+/** @type {import('./parser.js').Schematic|null} The build as shown (palette swapped, rotated / mirrored) */
 let schematic = null;
+/** @type {import('./parser.js').Schematic|null} The build as loaded, in file coordinates */
+let baseSchematic = null;
+/** @type {import('./paletteSwap.js').SwapRule[]} Block swaps applied to baseSchematic's palette */
+let paletteSwaps = [];
+/** @type {import('./transform.js').Transform} Orientation applied after the swaps */
+let transform = IDENTITY_TRANSFORM;
+/** Index of the slice shown in 2D, along sliceAxis (the Y level for top-down) */
 let currentLayer = 0;
+/** 'y' = top-down layers, 'x' = side elevation, 'z' = front elevation */
+let sliceAxis = 'y';
 let cellSize = 16;
 let showGrid = true;
+/** Draw chunk borders (16 × 16, aligned to world coordinates) over the 2D view */
+let showChunks = localStorage.getItem('showChunks') === 'true';
+/** World position of block (0,0,0), so coordinates read like the in-game F3 screen */
+let worldOrigin = { x: 0, y: 0, z: 0 };
 
 // View transform
 let offsetX = 0;
@@ -73,23 +154,671 @@ let highlightBounds = null;
 
 // Placed blocks state — Map<layerY, Set<"x,z">>
 const placedBlocks = new Map();
+/** Content hash of the loaded schematic, used as the IndexedDB key for its progress */
+let schematicHash = null;
+
+// Region visibility (multi-region litematics) — indices into schematic.regions
+const hiddenRegions = new Set();
+
+/**
+ * The item being located, or null.
+ * matches: 1 per palette index whose block needs the item; sliceCounts: visible matches per
+ * slice along the current axis (computed on demand); cursor: the block last jumped to.
+ * @type {{ itemId: string, name: string, matches: Uint8Array, sliceCounts: Int32Array|null,
+ *          cursor: { slice: number, col: number, row: number, ordinal: number }|null }|null}
+ */
+let locate = null;
 
 // Click detection (distinguish from drag)
 let mouseDownX = 0;
 let mouseDownY = 0;
 const CLICK_THRESHOLD = 5; // pixels
 
-// ─── Flood Fill ───
+// ─── Region Visibility ───
 
+/**
+ * Get the block at (x,y,z) as currently shown: blocks of hidden regions read as air.
+ * All view code (2D canvas, flood fill, tooltip, 3D) goes through this.
+ */
+function getVisibleBlock(x, y, z) {
+    if (hiddenRegions.size > 0 && hiddenRegions.has(schematic.getRegionIndex(x, y, z))) return null;
+    return schematic.getBlock(x, y, z);
+}
 
+/** Palette index at (x,y,z) as currently shown: hidden regions read as 0 (air) */
+function getVisibleIndex(x, y, z) {
+    if (hiddenRegions.size > 0 && hiddenRegions.has(schematic.getRegionIndex(x, y, z))) return 0;
+    return schematic.getIndex(x, y, z);
+}
+
+/** Palette indices of layer Y as currently shown (a copy when regions are hidden) */
+function getVisibleLayer(y) {
+    const layer = schematic.getLayer(y);
+    if (hiddenRegions.size === 0) return layer;
+    const layerSize = schematic.width * schematic.length;
+    const regionLayer = schematic.regionMap.subarray(y * layerSize, (y + 1) * layerSize);
+    const visible = layer.slice();
+    for (let i = 0; i < visible.length; i++) {
+        if (hiddenRegions.has(regionLayer[i] - 1)) visible[i] = 0;
+    }
+    return visible;
+}
+
+/** Schematic view handed to the 3D builder, honoring region visibility */
+function getVisibleSchematic() {
+    if (hiddenRegions.size === 0) return schematic;
+    return { ...schematic, getBlock: getVisibleBlock, getIndex: getVisibleIndex, getLayer: getVisibleLayer };
+}
+
+function renderRegions() {
+    const regions = schematic?.regions;
+    if (!regions || regions.length < 2) {
+        regionsPanel.style.display = 'none';
+        regionList.innerHTML = '';
+        return;
+    }
+
+    regionsPanel.style.display = '';
+    const visibleCount = regions.length - hiddenRegions.size;
+    regionCountBadge.textContent = `${visibleCount} / ${regions.length}`;
+
+    regionList.innerHTML = regions.map((r, i) => {
+        const hidden = hiddenRegions.has(i);
+        const isolated = !hidden && visibleCount === 1;
+        return `
+        <div class="region-row${hidden ? ' hidden-region' : ''}" data-index="${i}">
+          <input type="checkbox" class="region-toggle" ${hidden ? '' : 'checked'} title="Show / hide region">
+          <span class="region-name" title="${escapeHtml(r.name)}">${escapeHtml(r.name)}</span>
+          <span class="region-size">${r.width}×${r.height}×${r.length}</span>
+          <button class="region-isolate${isolated ? ' active' : ''}" title="Show only this region">◎</button>
+        </div>`;
+    }).join('');
+}
+
+regionList.addEventListener('change', e => {
+    if (!e.target.classList.contains('region-toggle')) return;
+    const index = Number(e.target.closest('.region-row').dataset.index);
+    if (e.target.checked) hiddenRegions.delete(index);
+    else hiddenRegions.add(index);
+    onRegionVisibilityChanged();
+});
+
+regionList.addEventListener('click', e => {
+    const btn = e.target.closest('.region-isolate');
+    if (!btn) return;
+    const index = Number(btn.closest('.region-row').dataset.index);
+    const regionCount = schematic.regions.length;
+    const alreadyIsolated = !hiddenRegions.has(index) && hiddenRegions.size === regionCount - 1;
+
+    hiddenRegions.clear();
+    if (!alreadyIsolated) {
+        // Isolate: hide every other region. Clicking again shows everything.
+        for (let i = 0; i < regionCount; i++) {
+            if (i !== index) hiddenRegions.add(i);
+        }
+    }
+    onRegionVisibilityChanged();
+});
+
+async function onRegionVisibilityChanged() {
+    sliceTotalsCache.clear();
+    highlightedGroup = null;
+    highlightBounds = null;
+    lastHoverX = -1;
+    lastHoverZ = -1;
+    invalidateLayerCache();
+    renderRegions();
+    updateLocateBar();
+    updateLayerProgress();
+    render();
+
+    // The 3D model is baked from the visible blocks: rebuild it (now or on next switch)
+    is3DModelBuilt = false;
+    if (is3DMode && schematic) {
+        is3DModelBuilt = true;
+        await build3DModelAsync(getVisibleSchematic());
+        updateHighlight3D();
+    }
+}
+
+// ─── Slicing Axis ───
+
+/**
+ * The 2D view shows one slice of the build as a plane of (col, row) cells, looked at from the
+ * + side of the slicing axis, so slice - 1 lies behind it (drawn faintly) and slice + 1 in front:
+ *   y: top-down layers — col = X, row = Z
+ *   x: side elevation  — col = Z (mirrored), row = Y from the top
+ *   z: front elevation — col = X, row = Y from the top
+ * Placed progress is always stored per Y layer as "x,z"; these helpers convert.
+ */
+const SLICE_AXES = {
+    y: { label: 'Y Level', unit: 'Layer' },
+    x: { label: 'X Slice', unit: 'Slice' },
+    z: { label: 'Z Slice', unit: 'Slice' },
+};
+
+/** Slice position remembered per axis, so switching back returns to where you were */
+const slicePositions = { y: 0, x: 0, z: 0 };
+/** Visible non-air block count per slice, computed on first use (Y uses layerTotals while no region is hidden) */
+const sliceTotalsCache = new Map();
+
+/** Number of slices along the current axis */
+function getSliceCount() {
+    return { x: schematic.width, y: schematic.height, z: schematic.length }[sliceAxis];
+}
+
+/** Size of the 2D plane in cells: { cols, rows } */
+function getPlaneSize() {
+    if (sliceAxis === 'x') return { cols: schematic.length, rows: schematic.height };
+    if (sliceAxis === 'z') return { cols: schematic.width, rows: schematic.height };
+    return { cols: schematic.width, rows: schematic.length };
+}
+
+/** World block coordinates of a plane cell */
+function planeToWorld(col, row, slice = currentLayer) {
+    const top = schematic.height - 1;
+    if (sliceAxis === 'x') return { x: slice, y: top - row, z: schematic.length - 1 - col };
+    if (sliceAxis === 'z') return { x: col, y: top - row, z: slice };
+    return { x: col, y: slice, z: row };
+}
+
+/** Plane cell and slice of a world block: { col, row, slice } */
+function worldToPlane(x, y, z) {
+    const top = schematic.height - 1;
+    if (sliceAxis === 'x') return { col: schematic.length - 1 - z, row: top - y, slice: x };
+    if (sliceAxis === 'z') return { col: x, row: top - y, slice: z };
+    return { col: x, row: z, slice: y };
+}
 
 /**
- * BFS flood-fill: find all connected blocks of the same type on the current layer.
+ * Index into blockIndices (x + z * width + y * width * length) of a plane cell, without
+ * allocating: used by the per-cell loops. The cell must be inside the plane.
+ */
+function planeToBlockIndex(col, row, slice) {
+    const { width, length, height } = schematic;
+    if (sliceAxis === 'x') return slice + (length - 1 - col) * width + (height - 1 - row) * width * length;
+    if (sliceAxis === 'z') return col + slice * width + (height - 1 - row) * width * length;
+    return col + row * width + slice * width * length;
+}
+
+/** blockIndices step from a cell to the same cell of the next slice */
+function getSliceStride() {
+    return { x: 1, y: schematic.width * schematic.length, z: schematic.width }[sliceAxis];
+}
+
+/** Visible palette index at a blockIndices position: hidden regions read as 0 (air) */
+function visibleIndexAt(i) {
+    if (hiddenRegions.size > 0 && hiddenRegions.has(schematic.regionMap[i] - 1)) return 0;
+    return schematic.blockIndices[i];
+}
+
+/** Visible palette index of a plane cell (0 = air, -1 outside) */
+function getPlaneIndex(col, row, slice = currentLayer) {
+    const { cols, rows } = getPlaneSize();
+    if (col < 0 || col >= cols || row < 0 || row >= rows || slice < 0 || slice >= getSliceCount()) return -1;
+    return visibleIndexAt(planeToBlockIndex(col, row, slice));
+}
+
+/** Visible palette indices of a slice, index = col + row * cols */
+function getSlicePlane(slice = currentLayer) {
+    if (sliceAxis === 'y') return getVisibleLayer(slice);
+    const { cols, rows } = getPlaneSize();
+    const plane = new Uint32Array(cols * rows);
+    for (let row = 0, i = 0; row < rows; row++) {
+        for (let col = 0; col < cols; col++, i++) plane[i] = visibleIndexAt(planeToBlockIndex(col, row, slice));
+    }
+    return plane;
+}
+
+/** Placed blocks of the current slice, as "col,row" keys */
+function getPlacedInSlice() {
+    if (sliceAxis === 'y') return placedBlocks.get(currentLayer) ?? new Set();
+    const cells = new Set();
+    for (const [y, layerSet] of placedBlocks) {
+        for (const key of layerSet) {
+            const [x, z] = key.split(',').map(Number);
+            const { col, row, slice } = worldToPlane(x, y, z);
+            if (slice === currentLayer) cells.add(`${col},${row}`);
+        }
+    }
+    return cells;
+}
+
+/** Non-air block count of every slice along the current axis, leaving out hidden regions */
+function getSliceTotals() {
+    // The parse worker already counted the whole build per Y layer
+    if (sliceAxis === 'y' && hiddenRegions.size === 0) return layerTotals;
+    if (sliceTotalsCache.has(sliceAxis)) return sliceTotalsCache.get(sliceAxis);
+
+    const { width, length, height, palette } = schematic;
+    const totals = new Int32Array(getSliceCount());
+    for (let y = 0; y < height; y++) {
+        const layer = getVisibleLayer(y);
+        for (let z = 0, i = 0; z < length; z++) {
+            for (let x = 0; x < width; x++, i++) {
+                if (!palette[layer[i]].air) totals[sliceAxis === 'x' ? x : sliceAxis === 'z' ? z : y]++;
+            }
+        }
+    }
+    sliceTotalsCache.set(sliceAxis, totals);
+    return totals;
+}
+
+sliceAxisToggle.addEventListener('click', e => {
+    const axis = e.target.closest('[data-axis]')?.dataset.axis;
+    if (axis && schematic && axis !== sliceAxis) setSliceAxis(axis);
+});
+
+function setSliceAxis(axis) {
+    slicePositions[sliceAxis] = currentLayer;
+    sliceAxis = axis;
+    currentLayer = slicePositions[axis];
+    for (const btn of sliceAxisToggle.querySelectorAll('button')) {
+        btn.classList.toggle('active', btn.dataset.axis === axis);
+    }
+
+    highlightedGroup = null;
+    highlightBounds = null;
+    lastHoverX = -1;
+    lastHoverZ = -1;
+    invalidateLayerCache();
+
+    layerAxisLabel.textContent = SLICE_AXES[axis].label;
+    btnResetLayerProgress.textContent = `↺ Reset ${SLICE_AXES[axis].unit} Progress`;
+    layerSlider.max = getSliceCount() - 1;
+    layerSlider.value = currentLayer;
+    updateLayerDisplay();
+    updateMaterialExportRange();
+    if (is3DMode) updateHighlight3D();
+    resetView();
+}
+
+/** The 3D view can only illuminate Y layers: keep it off while slicing along X or Z */
+function updateHighlight3D() {
+    setHighlightLayer3D(currentLayer, chkHighlight3d.checked && sliceAxis === 'y');
+}
+
+// ─── Orientation ───
+// Placed progress is kept in the orientation on screen, but saved and shared in file
+// coordinates so it keeps matching the content hash and other people's progress files.
+
+function remapPlaced(placed, mapColumn) {
+    const remapped = new Map();
+    for (const [y, cells] of placed) {
+        const layerSet = new Set();
+        for (const key of cells) {
+            const [x, z] = key.split(',').map(Number);
+            const p = mapColumn(x, z);
+            layerSet.add(`${p.x},${p.z}`);
+        }
+        remapped.set(y, layerSet);
+    }
+    return remapped;
+}
+
+/** Placed blocks in file coordinates */
+function getSourcePlaced() {
+    if (isIdentityTransform(transform)) return placedBlocks;
+    const { width, length } = baseSchematic;
+    return remapPlaced(placedBlocks, (x, z) => inverseTransformColumn(x, z, width, length, transform));
+}
+
+/** File-coordinate progress → Map in the current orientation */
+function fromSourcePlaced(placed) {
+    if (isIdentityTransform(transform)) return placed;
+    const { width, length } = baseSchematic;
+    return remapPlaced(placed, (x, z) => transformColumn(x, z, width, length, transform));
+}
+
+/** The orientation after an #orientation-actions button (cw, ccw, mirror-x, mirror-z, reset) */
+function nextTransform(action, { rotation, mirrorX, mirrorZ }) {
+    if (action === 'cw' || action === 'ccw') {
+        const step = action === 'cw' ? 90 : 270;
+        return { rotation: (rotation + step) % 360, mirrorX, mirrorZ };
+    }
+    if (action === 'reset') return IDENTITY_TRANSFORM;
+
+    // Mirror what is on screen: flipping after a rotation equals flipping first and
+    // rotating the other way. Both mirrors together are a 180° turn.
+    const next = {
+        rotation: (360 - rotation) % 360,
+        mirrorX: action === 'mirror-x' ? !mirrorX : mirrorX,
+        mirrorZ: action === 'mirror-z' ? !mirrorZ : mirrorZ,
+    };
+    return next.mirrorX && next.mirrorZ ? { rotation: (next.rotation + 180) % 360, mirrorX: false, mirrorZ: false } : next;
+}
+
+orientationActions.addEventListener('click', e => {
+    const action = e.target.closest('[data-orient]')?.dataset.orient;
+    if (!action || !schematic) return;
+    queueViewChange(() => setTransform(nextTransform(action, transform)));
+});
+
+/** The last queued orientation / palette swap change */
+let viewChange = Promise.resolve();
+
+/**
+ * Run an orientation or palette swap change once the previous one is done, so each starts from
+ * the state the previous one left (quick clicks would otherwise all start from the same one).
+ * Changes queued for a build that has since been closed or replaced are dropped.
+ */
+function queueViewChange(task) {
+    const loaded = baseSchematic;
+    viewChange = viewChange
+        .then(() => (baseSchematic === loaded ? task() : undefined))
+        .catch(err => console.error('Could not update the view:', err));
+    return viewChange;
+}
+
+/**
+ * The schematic as shown: the loaded one with its palette swaps, then its orientation.
+ * Textures of swapped-in blocks are loaded before it is returned.
+ */
+async function deriveSchematic(swaps, orientation) {
+    const shown = transformSchematic(applyPaletteSwaps(baseSchematic, swaps), orientation);
+    if (!shown.palette) {
+        await preloadTextures(shown.paletteList);
+        shown.palette = getPaletteInfo(shown.paletteList);
+    }
+    return shown;
+}
+
+/** Rotate / mirror the loaded build; every view, the tooltip and exports follow */
+async function setTransform(next) {
+    const shown = await deriveSchematic(paletteSwaps, next);
+    const sourcePlaced = new Map(getSourcePlaced());
+    transform = next;
+    schematic = shown;
+
+    placedBlocks.clear();
+    for (const [y, cells] of fromSourcePlaced(sourcePlaced)) placedBlocks.set(y, cells);
+
+    updateOrientationDisplay();
+    document.getElementById('info-width').textContent = schematic.width;
+    document.getElementById('info-length').textContent = schematic.length;
+
+    // Rotating by 90° swaps the X and Z extents
+    sliceTotalsCache.clear();
+    invalidateLayerCache();
+    slicePositions.x = Math.min(slicePositions.x, schematic.width - 1);
+    slicePositions.z = Math.min(slicePositions.z, schematic.length - 1);
+    currentLayer = Math.min(currentLayer, getSliceCount() - 1);
+    layerSlider.max = getSliceCount() - 1;
+    layerSlider.value = currentLayer;
+    updateLayerDisplay();
+    updateMaterialExportRange();
+    resetView();
+
+    await onRegionVisibilityChanged();
+    if (is3DMode) resetCamera3D(schematic);
+}
+
+function updateOrientationDisplay() {
+    orientationStatus.textContent = describeTransform(transform);
+    orientationStatus.classList.toggle('modified', !isIdentityTransform(transform));
+    for (const btn of orientationActions.querySelectorAll('[data-orient^="mirror"]')) {
+        const axis = btn.dataset.orient === 'mirror-x' ? 'mirrorX' : 'mirrorZ';
+        btn.classList.toggle('active', transform[axis]);
+    }
+}
+
+// ─── Palette Swap ───
+// Swaps rewrite palette entries only (indices stay put), so block counts per palette index
+// are counted once and re-mapped to items after every change.
+
+/** Blocks per palette index of the loaded build, counted on the first swap */
+let paletteTally = null;
+
+swapForm.addEventListener('submit', e => {
+    e.preventDefault();
+    if (!schematic) return;
+    let rule;
+    try {
+        rule = createSwapRule(swapFrom.value, swapTo.value);
+    } catch (err) {
+        alert(err.message);
+        return;
+    }
+    swapFrom.value = '';
+    swapTo.value = '';
+    queueViewChange(() => setPaletteSwaps([...paletteSwaps, rule]));
+});
+
+swapList.addEventListener('click', e => {
+    const btn = e.target.closest('.swap-remove');
+    if (!btn) return;
+    const rule = paletteSwaps[Number(btn.closest('.swap-rule').dataset.index)];
+    queueViewChange(() => setPaletteSwaps(paletteSwaps.filter(r => r !== rule)));
+});
+
+btnSwapClear.addEventListener('click', () => {
+    if (schematic && paletteSwaps.length > 0) queueViewChange(() => setPaletteSwaps([]));
+});
+
+/** Replace the swap rules; the views, materials list and exports follow */
+async function setPaletteSwaps(rules) {
+    const shown = await deriveSchematic(rules, transform);
+    paletteSwaps = rules;
+    schematic = shown;
+
+    // Located blocks were matched against the old palette
+    locate = null;
+    setMatchHighlight3D(null);
+
+    recountMaterials();
+    updateProgress();
+    renderSwapRules();
+    await onRegionVisibilityChanged();
+}
+
+/** Item counts for the shown palette, from the per-index tally of the loaded build */
+function recountMaterials() {
+    if (!paletteTally) {
+        paletteTally = new Float64Array(baseSchematic.paletteList.length);
+        for (const idx of baseSchematic.blockIndices) paletteTally[idx]++;
+    }
+    const sourceBlocks = new Map();
+    schematic.palette.forEach((info, idx) => {
+        if (info.air || paletteTally[idx] === 0) return;
+        for (const { itemId } of blockStateToItems(info.blockState)) {
+            if (!sourceBlocks.has(itemId)) sourceBlocks.set(itemId, info.baseId);
+        }
+    });
+    computeMaterials({ counts: countPaletteItems(schematic.paletteList, paletteTally), sourceBlocks, layerTotals });
+}
+
+function renderSwapRules() {
+    const changes = describeSwaps(baseSchematic.paletteList, paletteSwaps);
+    swapCountBadge.textContent = paletteSwaps.length ? `${paletteSwaps.length} rule${paletteSwaps.length > 1 ? 's' : ''}` : '';
+    swapActions.style.display = paletteSwaps.length ? '' : 'none';
+
+    swapList.innerHTML = paletteSwaps.map((rule, i) => {
+        // Swapped-in blocks without a texture are most likely misspelled or don't exist
+        const changeHtml = changes[i].length === 0
+            ? '<span class="swap-unknown">Matches nothing in this build</span>'
+            : changes[i].map(([before, after]) => {
+                // Block IDs come from the file and may contain anything
+                const unknown = !getTextureFile('minecraft:' + after);
+                return unknown
+                    ? `${escapeHtml(before)} → <span class="swap-unknown" title="No texture found: check the block ID">${escapeHtml(after)} ⚠</span>`
+                    : `${escapeHtml(before)} → ${escapeHtml(after)}`;
+            }).join('<br>');
+        const ruleText = escapeHtml(`${rule.from} → ${rule.to}`);
+        return `
+        <div class="swap-rule" data-index="${i}">
+          <div class="swap-rule-header">
+            <span title="${ruleText}">${ruleText}</span>
+            <button class="swap-remove" title="Remove rule">✕</button>
+          </div>
+          <div class="swap-changes">${changeHtml}</div>
+        </div>`;
+    }).join('');
+}
+
+/** Suggest the build's block IDs in the rule inputs */
+function renderSwapSuggestions() {
+    const ids = new Set(baseSchematic.palette.filter(info => !info.air).map(info => info.baseId));
+    swapBlockIds.innerHTML = [...ids].sort().map(id => `<option value="${escapeHtml(id)}">`).join('');
+}
+
+// ─── Resource Pack ───
+
+/** Restores the remembered resource pack; schematic loads wait for it so they use its textures */
+const resourcePackRestored = restoreResourcePack();
+
+async function restoreResourcePack() {
+    try {
+        const pack = await loadSavedResourcePack();
+        if (pack) await applyResourcePack(pack);
+    } catch (err) {
+        console.warn('Could not restore the resource pack:', err);
+    }
+}
+
+/** Use a resource pack's block textures (null: the default ones) and redraw every view with them */
+async function applyResourcePack(pack) {
+    setResourcePackTextures(pack ? pack.textures : null);
+    packName.textContent = pack ? pack.name : 'Default';
+    packName.title = pack ? `${pack.name} · ${pack.textures.size} block textures` : '';
+    btnPackReset.style.display = pack ? '' : 'none';
+    // Textures the pack has but that couldn't be read fall back to the default ones
+    const skipped = pack ? pack.skipped : [];
+    packSkipped.style.display = skipped.length ? '' : 'none';
+    packSkipped.textContent = `⚠ ${skipped.length} skipped`;
+    packSkipped.title = `${skipped.length} texture${skipped.length === 1 ? '' : 's'} couldn’t be read, the default ones are used instead:\n` +
+        skipped.map(path => path.split('/').pop()).join('\n');
+    if (!schematic) return;
+
+    // The shown schematic and the ones it is derived from each resolved their palette's textures
+    for (let s = schematic; s; s = s.source) {
+        await preloadTextures(s.paletteList);
+        s.palette = getPaletteInfo(s.paletteList);
+    }
+    recountMaterials();
+    updateProgress();
+    renderSwapRules();
+    await onRegionVisibilityChanged();
+}
+
+async function loadResourcePackFile(file) {
+    showLoading(true);
+    try {
+        const pack = await readResourcePack(file);
+        await applyResourcePack(pack);
+        saveResourcePack(pack).catch(err => console.warn('Could not remember the resource pack:', err));
+    } catch (err) {
+        alert(`Cannot load resource pack: ${err.message}`);
+    } finally {
+        showLoading(false);
+    }
+}
+
+btnPackLoad.addEventListener('click', () => packFileInput.click());
+
+packFileInput.addEventListener('change', e => {
+    const file = e.target.files[0];
+    packFileInput.value = '';
+    if (file) loadResourcePackFile(file);
+});
+
+btnPackReset.addEventListener('click', async () => {
+    showLoading(true);
+    try {
+        await applyResourcePack(null);
+    } finally {
+        showLoading(false);
+    }
+    clearSavedResourcePack().catch(err => console.warn('Could not forget the resource pack:', err));
+});
+
+// ─── World Coordinates ───
+// The origin the user enters is remembered per build (by content hash); a build seen for the
+// first time starts from the origin recorded in the file, if any.
+
+const CHUNK_SIZE = 16;
+/** World axis along the 2D plane's columns and rows, per slicing axis */
+const PLANE_AXES = { y: ['x', 'z'], x: ['z', 'y'], z: ['x', 'y'] };
+
+function getFileOrigin() {
+    return baseSchematic?.origin ?? { x: 0, y: 0, z: 0 };
+}
+
+function loadWorldOrigin() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(`worldOrigin:${schematicHash}`));
+        if (saved && ['x', 'y', 'z'].every(a => Number.isInteger(saved[a]))) return saved;
+    } catch {
+        // Unreadable entry: fall back to the file's origin
+    }
+    return { ...getFileOrigin() };
+}
+
+function setWorldOrigin(origin) {
+    worldOrigin = origin;
+    const fileOrigin = getFileOrigin();
+    if (schematicHash) {
+        const key = `worldOrigin:${schematicHash}`;
+        if (['x', 'y', 'z'].every(a => origin[a] === fileOrigin[a])) localStorage.removeItem(key);
+        else localStorage.setItem(key, JSON.stringify(origin));
+    }
+    updateOriginInputs();
+    updateLayerDisplay();
+    render();
+}
+
+function updateOriginInputs() {
+    for (const axis of ['x', 'y', 'z']) originInputs[axis].value = worldOrigin[axis];
+    const fileOrigin = getFileOrigin();
+    btnOriginReset.title = `Back to the file's origin (${fileOrigin.x}, ${fileOrigin.y}, ${fileOrigin.z})`;
+}
+
+for (const input of Object.values(originInputs)) {
+    input.addEventListener('change', () => {
+        if (!schematic) return;
+        const origin = {};
+        for (const axis of ['x', 'y', 'z']) {
+            const value = Number(originInputs[axis].value);
+            origin[axis] = Number.isFinite(value) ? Math.round(value) : worldOrigin[axis];
+        }
+        setWorldOrigin(origin);
+    });
+}
+
+btnOriginReset.addEventListener('click', () => {
+    if (schematic) setWorldOrigin({ ...getFileOrigin() });
+});
+
+/** Absolute world coordinates of a block of the (oriented) schematic */
+function toWorldCoords({ x, y, z }) {
+    return { x: x + worldOrigin.x, y: y + worldOrigin.y, z: z + worldOrigin.z };
+}
+
+/** "X 104, Z -37": world coordinates of a plane cell along the plane's two axes */
+function formatPlaneCoords(col, row) {
+    const world = toWorldCoords(planeToWorld(col, row));
+    const [colAxis, rowAxis] = PLANE_AXES[sliceAxis];
+    return `${colAxis.toUpperCase()} ${world[colAxis]}, ${rowAxis.toUpperCase()} ${world[rowAxis]}`;
+}
+
+/** Chunk (or, along Y, chunk section) index of a world coordinate */
+function chunkOf(coord) {
+    return Math.floor(coord / CHUNK_SIZE);
+}
+
+// ─── Flood Fill ───
+
+/**
+ * BFS flood-fill: find all connected blocks of the same type on the current slice.
+ * Coordinates are plane cells (col, row), which are (x, z) when slicing along Y.
  * Returns { cells: Set<"x,z">, minX, minZ, maxX, maxZ, w, h, count }
  */
 function floodFill(startX, startZ) {
-    const baseId = getBaseBlockId(schematic.getBlock(startX, currentLayer, startZ));
-    if (!baseId || isAir('minecraft:' + baseId)) return null;
+    const palette = schematic.palette;
+    const { cols, rows } = getPlaneSize();
+    const plane = getSlicePlane();
+    const start = palette[plane[startX + startZ * cols]];
+    if (start.air) return null;
+    const baseId = start.baseId;
 
     const cells = new Set();
     const queue = [[startX, startZ]];
@@ -104,10 +833,9 @@ function floodFill(startX, startZ) {
         for (const [nx, nz] of neighbors) {
             const key = `${nx},${nz}`;
             if (cells.has(key)) continue;
-            if (nx < 0 || nx >= schematic.width || nz < 0 || nz >= schematic.length) continue;
+            if (nx < 0 || nx >= cols || nz < 0 || nz >= rows) continue;
 
-            const neighborId = getBaseBlockId(schematic.getBlock(nx, currentLayer, nz));
-            if (neighborId === baseId) {
+            if (palette[plane[nx + nz * cols]].baseId === baseId) {
                 cells.add(key);
                 queue.push([nx, nz]);
                 if (nx < minX) minX = nx;
@@ -218,34 +946,54 @@ fileInput.addEventListener('change', e => {
     if (file) loadFile(file);
 });
 
+/** Cancels the parse in progress (terminating its worker), or null when nothing is loading */
+let cancelParse = null;
+
 async function loadFile(file) {
     const ext = file.name.split('.').pop().toLowerCase();
-    if (ext !== 'schem' && ext !== 'litematic') {
-        alert('Unsupported format. Please use .schem or .litematic files.');
+    if (ext === 'zip') {
+        fileInput.value = '';
+        loadResourcePackFile(file);
+        return;
+    }
+    if (ext !== 'schem' && ext !== 'litematic' && ext !== 'nbt' && ext !== 'schematic') {
+        alert('Unsupported format. Please use .schem, .litematic, .nbt or .schematic files, or a resource pack .zip.');
         return;
     }
+    await resourcePackRestored;
 
-    showLoading(true);
+    showLoading(true, { cancellable: true });
 
     try {
         const buffer = await file.arrayBuffer();
-        const nbtData = await read(buffer);
-        const root = nbtData.data ?? nbtData;
-
-        if (ext === 'schem') {
-            schematic = parseSchem(root);
-        } else {
-            schematic = parseLitematic(root);
-        }
+        const result = await parseInWorker(buffer, ext);
+        if (!result) return; // cancelled
 
-        if (schematic.name === 'Unnamed') {
-            schematic.name = file.name.replace(/\.[^.]+$/, '');
+        const loaded = schematicFromData(result.data);
+        if (loaded.name === 'Unnamed') {
+            loaded.name = file.name.replace(/\.[^.]+$/, '');
         }
 
         // Preload all textures for blocks in the schematic's palette
-        await preloadTextures(schematic.paletteList);
-
-        onSchematicLoaded(file.name);
+        setLoadingProgress(100, 'Loading textures…');
+        await preloadTextures(loaded.paletteList);
+        loaded.palette = getPaletteInfo(loaded.paletteList);
+
+        // Views draw from the palette metadata, so only swap the schematic in once it is resolved
+        schematic = baseSchematic = loaded;
+        paletteSwaps = [];
+        paletteTally = null;
+        transform = IDENTITY_TRANSFORM;
+        locate = null;
+        invalidateLayerCache();
+
+        // Restore any build progress saved for this exact build
+        placedBlocks.clear();
+        schematicHash = result.hash;
+        await restoreProgress();
+        worldOrigin = loadWorldOrigin();
+
+        onSchematicLoaded(file.name, result.materials);
     } catch (err) {
         console.error('Failed to parse schematic:', err);
         alert(`Error parsing file: ${err.message}`);
@@ -254,26 +1002,104 @@ async function loadFile(file) {
     }
 }
 
-function showLoading(active) {
+/**
+ * Decode and parse a file in parseWorker.js, reporting progress on the loading overlay.
+ * @returns {Promise<{data, materials, hash}|null>} null when the user cancelled
+ */
+function parseInWorker(buffer, ext) {
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' });
+        const finish = () => {
+            worker.terminate();
+            cancelParse = null;
+        };
+        cancelParse = () => {
+            finish();
+            resolve(null);
+        };
+
+        worker.onmessage = e => {
+            const msg = e.data;
+            if (msg.type === 'progress') {
+                setLoadingProgress(msg.percent, msg.stage);
+            } else if (msg.type === 'done') {
+                finish();
+                resolve(msg);
+            } else if (msg.type === 'error') {
+                finish();
+                reject(new Error(msg.message));
+            }
+        };
+        worker.onerror = e => {
+            finish();
+            reject(new Error(e.message || 'The parser worker failed to start'));
+        };
+
+        worker.postMessage({ buffer, ext }, [buffer]);
+    });
+}
+
+loadingCancel.addEventListener('click', () => {
+    cancelParse?.();
+});
+
+/**
+ * Show or hide the loading overlay. With `cancellable`, the progress bar and Cancel button
+ * are shown too (fed by setLoadingProgress).
+ */
+function showLoading(active, { cancellable = false } = {}) {
     loadingOverlay.classList.toggle('active', active);
+    loadingOverlay.classList.toggle('with-progress', active && cancellable);
+    if (active) setLoadingProgress(0, cancellable ? 'Reading file…' : '');
+}
+
+function setLoadingProgress(percent, stage) {
+    loadingBarFill.style.width = `${percent}%`;
+    loadingStage.textContent = stage;
+    loadingPercent.textContent = `${percent}%`;
 }
 
-function onSchematicLoaded(fileName) {
+function onSchematicLoaded(fileName, materials) {
+    const exportOptions = Object.entries(EXPORT_FORMATS)
+        .map(([id, f]) => `<button data-format="${id}">${f.label}</button>`)
+        .join('');
     fileBadgeContainer.innerHTML = `
     <div class="file-badge">
       📄 ${fileName}
+      <button class="badge-btn" id="btn-export-file" title="Export as…">⤓</button>
       <button class="close-btn" id="btn-close-file" title="Close">✕</button>
     </div>
+    <div class="export-menu" id="export-menu">${exportOptions}</div>
   `;
     document.getElementById('btn-close-file').addEventListener('click', closeSchematic);
+    document.getElementById('btn-export-file').addEventListener('click', () => {
+        document.getElementById('export-menu').classList.toggle('open');
+    });
+    document.getElementById('export-menu').addEventListener('click', e => {
+        const format = e.target.dataset.format;
+        if (!format) return;
+        document.getElementById('export-menu').classList.remove('open');
+        downloadSchematic(format);
+    });
 
     infoPanel.style.display = '';
     layerPanel.style.display = '';
     tooltipPanel.style.display = '';
     viewPanel.style.display = '';
     materialsPanel.style.display = '';
-
-    computeMaterials();
+    progressPanel.style.display = '';
+    swapPanel.style.display = '';
+
+    hiddenRegions.clear();
+    invalidateLayerCache();
+    renderRegions();
+    updateOrientationDisplay();
+    updateOriginInputs();
+    renderSwapRules();
+    renderSwapSuggestions();
+
+    setMatchHighlight3D(null);
+    computeMaterials(materials);
     emptyState.classList.add('hidden');
 
     document.getElementById('info-name').textContent = schematic.name;
@@ -281,26 +1107,70 @@ function onSchematicLoaded(fileName) {
     document.getElementById('info-length').textContent = schematic.length;
     document.getElementById('info-height').textContent = schematic.height;
     document.getElementById('info-blocks').textContent = schematic.totalNonAir.toLocaleString();
+    document.getElementById('info-format').textContent = schematic.format;
+
+    const memory = getSchematicMemory(schematic);
+    const infoMemory = document.getElementById('info-memory');
+    infoMemory.textContent = formatBytes(memory.total);
+    infoMemory.title = `Block indices: ${formatBytes(memory.blocks)} (${schematic.blockIndices.constructor.name})` +
+        (memory.regions ? `\nRegion map: ${formatBytes(memory.regions)}` : '') +
+        `\nPalette: ${formatBytes(memory.palette)} (${schematic.paletteList.length} states)`;
+
+    const mcVersion = getMinecraftVersion(schematic.dataVersion);
+    document.getElementById('info-data-version').textContent = schematic.dataVersion
+        ? `${schematic.dataVersion}${mcVersion ? ` · ${mcVersion}` : ''}`
+        : '—';
 
     currentLayer = 0;
+    slicePositions.x = slicePositions.y = slicePositions.z = 0;
+    sliceTotalsCache.clear();
     layerSlider.min = 0;
-    layerSlider.max = schematic.height - 1;
+    layerSlider.max = getSliceCount() - 1;
     layerSlider.value = 0;
     updateLayerDisplay();
+    updateProgress();
+
+    matExportFrom.value = 0;
+    matExportTo.value = getSliceCount() - 1;
+    updateMaterialExportRange();
 
     resetView();
 }
 
+/** 1536 → "1.5 KB" */
+function formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 function closeSchematic() {
-    schematic = null;
+    schematic = baseSchematic = null;
+    paletteSwaps = [];
+    paletteTally = null;
+    transform = IDENTITY_TRANSFORM;
+    worldOrigin = { x: 0, y: 0, z: 0 };
+    schematicHash = null;
+    placedBlocks.clear();
+    pendingImport = null;
+    progressImportChoice.classList.remove('open');
     highlightedGroup = null;
     highlightBounds = null;
+    hiddenRegions.clear();
+    locate = null;
+    setMatchHighlight3D(null);
+    updateLocateBar();
+    invalidateLayerCache();
+    renderRegions();
     fileBadgeContainer.innerHTML = '';
     infoPanel.style.display = 'none';
     layerPanel.style.display = 'none';
     tooltipPanel.style.display = 'none';
     viewPanel.style.display = 'none';
     materialsPanel.style.display = 'none';
+    progressPanel.style.display = 'none';
+    swapPanel.style.display = 'none';
+    swapList.innerHTML = '';
     matList.innerHTML = '';
     matSearch.value = '';
     emptyState.classList.remove('hidden');
@@ -315,68 +1185,124 @@ function closeSchematic() {
     render();
 }
 
+// ─── Export ───
+
+async function downloadSchematic(formatId) {
+    if (!schematic) return;
+    showLoading(true);
+    try {
+        const bytes = await exportSchematic(schematic, formatId);
+        const fileName = `${schematic.name}.${EXPORT_FORMATS[formatId].extension}`;
+        downloadBlob(new Blob([bytes], { type: 'application/octet-stream' }), fileName);
+    } catch (err) {
+        console.error('Failed to export schematic:', err);
+        alert(`Error exporting file: ${err.message}`);
+    } finally {
+        showLoading(false);
+    }
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ─── Materials List ───
 
-/** Cached materials data: [{baseId, name, count, texFile}] sorted by count desc */
+/** Cached materials data: [{itemId, name, count, placed, swatchId, texSrc}] sorted by count desc */
 let materialsData = [];
+/** Non-air block count per layer (index = Y), for per-layer completion */
+let layerTotals = new Int32Array(0);
+/** Breakdown unit for material amounts (a BREAKDOWN_UNITS id), remembered across sessions */
+let matUnit = BREAKDOWN_UNITS[localStorage.getItem('matUnit')] ? localStorage.getItem('matUnit') : 'shulker';
+/** 'blocks' lists the items to place, 'raw' expands them into resources to gather */
+let matMode = 'blocks';
 
-function computeMaterials() {
-    const counts = new Map(); // baseId → count
-
-    for (let y = 0; y < schematic.height; y++) {
-        for (let z = 0; z < schematic.length; z++) {
-            for (let x = 0; x < schematic.width; x++) {
-                const bs = schematic.getBlock(x, y, z);
-                if (isAir(bs)) continue;
-                const baseId = getBaseBlockId(bs);
-                if (!baseId) continue;
-                counts.set(baseId, (counts.get(baseId) || 0) + 1);
-            }
-        }
-    }
-
+/**
+ * Build the materials list from the counts precomputed by the parse worker.
+ * @param {{ counts: Map<string, number>, sourceBlocks: Map<string, string>, layerTotals: Int32Array }} materials
+ *        itemId → count, itemId → first block ID it was needed for (for the swatch), non-air blocks per layer
+ */
+function computeMaterials({ counts, sourceBlocks, layerTotals: totals }) {
+    layerTotals = totals;
     materialsData = [];
-    for (const [baseId, count] of counts) {
-        const name = getBlockDisplayName('minecraft:' + baseId);
-        const texFile = getTextureFile('minecraft:' + baseId);
-        materialsData.push({ baseId, name, count, texFile });
+    for (const [itemId, count] of counts) {
+        const name = getBlockDisplayName('minecraft:' + itemId);
+        // Items without a block texture (redstone, buckets, seeds…) borrow the block's
+        const swatchId = getTextureFile('minecraft:' + itemId) ? itemId : sourceBlocks.get(itemId);
+        const texSrc = getTextureUrl('minecraft:' + swatchId);
+        materialsData.push({ itemId, name, count, placed: 0, swatchId, texSrc });
     }
     materialsData.sort((a, b) => b.count - a.count);
 
-    const totalTypes = materialsData.length;
-    matTotalBadge.textContent = `${totalTypes} types`;
-
     renderMaterials('');
 }
 
-function formatStacks(count) {
-    const stackSize = 64;
-    const stacks = Math.floor(count / stackSize);
-    const remainder = count % stackSize;
-    if (stacks === 0) return `${count}`;
-    if (remainder === 0) return `${stacks}×64`;
-    return `${stacks}×64 + ${remainder}`;
+/** Expand item counts into raw resources with the current recipe choices */
+function toRawResources(counts) {
+    return resolveRawResources(counts, { preferStonecutter: chkStonecutter.checked });
+}
+
+/**
+ * Raw resources for the whole build, in the same shape as materialsData.
+ * "placed" is what no longer needs gathering given the blocks already placed.
+ */
+function computeRawMaterials() {
+    const { resources, surplus } = toRawResources(new Map(materialsData.map(m => [m.itemId, m.count])));
+    const left = toRawResources(new Map(materialsData.map(m => [m.itemId, m.count - m.placed]))).resources;
+
+    const rows = toMaterialRows(resources).map(r => {
+        const texSrc = getTextureUrl('minecraft:' + r.itemId);
+        return { ...r, placed: r.count - (left.get(r.itemId) || 0), swatchId: r.itemId, texSrc };
+    });
+
+    const itemTotal = materialsData.reduce((sum, m) => sum + m.count, 0);
+    const rawTotal = rows.reduce((sum, r) => sum + r.count, 0);
+    const spare = [...surplus.values()].reduce((sum, n) => sum + n, 0);
+    matRawSummary.textContent = `${itemTotal.toLocaleString()} items → ${rawTotal.toLocaleString()} raw resources` +
+        (spare > 0 ? ` · ${spare.toLocaleString()} spare from whole-batch crafting` : '');
+
+    return rows;
 }
 
 function renderMaterials(filter) {
+    const data = matMode === 'raw' ? computeRawMaterials() : materialsData;
+    matTotalBadge.textContent = `${data.length} ${matMode === 'raw' ? 'resources' : 'types'}`;
+
     const lowerFilter = filter.toLowerCase();
     const filtered = lowerFilter
-        ? materialsData.filter(m => m.name.toLowerCase().includes(lowerFilter) || m.baseId.includes(lowerFilter))
-        : materialsData;
+        ? data.filter(m => m.name.toLowerCase().includes(lowerFilter) || m.itemId.includes(lowerFilter))
+        : data;
 
     matList.innerHTML = filtered.map(m => {
-        const texSrc = m.texFile ? `block/${m.texFile}` : null;
-        const color = getBlockColor('minecraft:' + m.baseId);
+        const texSrc = m.texSrc;
+        const color = getBlockColor('minecraft:' + m.swatchId);
         const bgStyle = texSrc
             ? `background: url('${texSrc}') center/cover; image-rendering: pixelated;`
             : `background: ${color || '#333'};`;
 
+        // Once building has started, show what is still left to gather
+        const remaining = m.count - m.placed;
+        const remainingHtml = m.placed > 0
+            ? `<span class="mat-remaining${remaining === 0 ? ' done' : ''}">${remaining === 0 ? '✓ done' : `${formatAmount(remaining, m.itemId, matUnit)} left`}</span>`
+            : '';
+
+        // Block rows can be located in the build; raw resources aren't placed as such
+        const locatable = matMode !== 'raw';
+        const rowClass = `mat-row${locatable ? ' locatable' : ''}${locate?.itemId === m.itemId ? ' locating' : ''}`;
+
         return `
-        <div class="mat-row">
+        <div class="${rowClass}"${locatable ? ` data-item="${m.itemId}" title="Click to locate in the build"` : ''}>
           <div class="mat-swatch" style="${bgStyle}"></div>
           <div class="mat-info">
             <span class="mat-name">${m.name}</span>
-            <span class="mat-stacks">${formatStacks(m.count)}</span>
+            <span class="mat-stacks">${formatAmount(m.count, m.itemId, matUnit)}${remainingHtml}</span>
           </div>
           <span class="mat-count">${m.count.toLocaleString()}</span>
         </div>`;
@@ -387,6 +1313,318 @@ matSearch.addEventListener('input', () => {
     renderMaterials(matSearch.value);
 });
 
+function setMaterialUnit(unitId) {
+    matUnit = unitId;
+    localStorage.setItem('matUnit', unitId);
+    for (const btn of matUnitToggle.querySelectorAll('button')) {
+        btn.classList.toggle('active', btn.dataset.unit === unitId);
+    }
+    renderMaterials(matSearch.value);
+}
+
+matUnitToggle.addEventListener('click', e => {
+    const unitId = e.target.dataset.unit;
+    if (unitId) setMaterialUnit(unitId);
+});
+
+setMaterialUnit(matUnit);
+
+function setMaterialMode(mode) {
+    matMode = mode;
+    if (mode === 'raw' && locate) clearLocate();
+    for (const btn of matModeToggle.querySelectorAll('button')) {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+    }
+    matStonecutterOption.style.display = mode === 'raw' ? 'flex' : 'none';
+    matRawSummary.style.display = mode === 'raw' ? 'block' : 'none';
+    renderMaterials(matSearch.value);
+}
+
+matModeToggle.addEventListener('click', e => {
+    const mode = e.target.dataset.mode;
+    if (mode) setMaterialMode(mode);
+});
+
+chkStonecutter.checked = localStorage.getItem('matStonecutter') === 'true';
+chkStonecutter.addEventListener('change', () => {
+    localStorage.setItem('matStonecutter', chkStonecutter.checked);
+    renderMaterials(matSearch.value);
+});
+
+setMaterialMode(matMode);
+
+// ─── Locate Blocks ───
+// Clicking a material row highlights every block needing that item: on the current slice in
+// 2D and across the whole build in 3D. The navigator steps through them in slice order.
+
+matList.addEventListener('click', e => {
+    const row = e.target.closest('.mat-row[data-item]');
+    if (!row || !schematic) return;
+    // Clicking the located row again stops locating
+    if (locate?.itemId === row.dataset.item) clearLocate();
+    else setLocateTarget(row.dataset.item);
+});
+
+function setLocateTarget(itemId) {
+    const matches = new Uint8Array(schematic.paletteList.length);
+    schematic.palette.forEach((info, idx) => {
+        if (!info.air && blockStateToItems(info.blockState).some(item => item.itemId === itemId)) matches[idx] = 1;
+    });
+    locate = { itemId, name: getBlockDisplayName('minecraft:' + itemId), matches, sliceCounts: null, cursor: null };
+    setMatchHighlight3D(matches);
+    renderMaterials(matSearch.value);
+    updateLocateBar();
+    render();
+}
+
+function clearLocate() {
+    locate = null;
+    setMatchHighlight3D(null);
+    renderMaterials(matSearch.value);
+    updateLocateBar();
+    render();
+}
+
+/** The visible slices changed (axis, orientation, regions): recount on next use */
+function invalidateLocateCounts() {
+    if (!locate) return;
+    locate.sliceCounts = null;
+    locate.cursor = null;
+}
+
+/** Visible located blocks per slice along the current axis */
+function getLocateCounts() {
+    if (locate.sliceCounts) return locate.sliceCounts;
+    const { width, length, height } = schematic;
+    const counts = new Int32Array(getSliceCount());
+    for (let y = 0; y < height; y++) {
+        const layer = getVisibleLayer(y);
+        for (let z = 0, i = 0; z < length; z++) {
+            for (let x = 0; x < width; x++, i++) {
+                if (locate.matches[layer[i]]) counts[sliceAxis === 'x' ? x : sliceAxis === 'z' ? z : y]++;
+            }
+        }
+    }
+    locate.sliceCounts = counts;
+    return counts;
+}
+
+function updateLocateBar() {
+    if (!locate || !schematic) {
+        matLocate.style.display = 'none';
+        return;
+    }
+    const counts = getLocateCounts();
+    const total = counts.reduce((sum, c) => sum + c, 0);
+    const here = counts[currentLayer] ?? 0;
+    const unit = SLICE_AXES[sliceAxis].unit.toLowerCase();
+    const position = locate.cursor ? `${locate.cursor.ordinal.toLocaleString()} / ` : '';
+
+    matLocate.style.display = '';
+    matLocateName.textContent = locate.name;
+    matLocateCount.textContent = total === 0
+        ? 'None visible'
+        : `${position}${total.toLocaleString()} · ${here.toLocaleString()} on this ${unit}`;
+    btnLocatePrev.disabled = btnLocateNext.disabled = total === 0;
+}
+
+/**
+ * Jump to the next (+1) or previous (-1) located block, in slice, row, column order,
+ * wrapping around the ends of the build.
+ */
+function stepLocate(direction) {
+    if (!locate || !schematic) return;
+    const counts = getLocateCounts();
+    const sliceCount = counts.length;
+    const { cols } = getPlaneSize();
+
+    // Continue from the block last jumped to when it is on this slice, else from the slice's edge
+    let slice = currentLayer;
+    let from = locate.cursor?.slice === currentLayer
+        ? locate.cursor.col + locate.cursor.row * cols + direction
+        : (direction > 0 ? 0 : Infinity);
+
+    for (let n = 0; n <= sliceCount; n++) {
+        if (counts[slice] > 0) {
+            const plane = getSlicePlane(slice);
+            let i = direction > 0 ? from : Math.min(from, plane.length - 1);
+            while (i >= 0 && i < plane.length && !locate.matches[plane[i]]) i += direction;
+            if (i >= 0 && i < plane.length) {
+                let before = 0;
+                for (let prev = 0; prev < slice; prev++) before += counts[prev];
+                for (let j = 0; j < i; j++) before += locate.matches[plane[j]];
+                jumpToLocated(slice, i % cols, Math.floor(i / cols), before + 1);
+                return;
+            }
+        }
+        slice = (slice + direction + sliceCount) % sliceCount;
+        from = direction > 0 ? 0 : Infinity;
+    }
+}
+
+/** Show a located block: switch to its slice and center the 2D view on it */
+function jumpToLocated(slice, col, row, ordinal) {
+    locate.cursor = { slice, col, row, ordinal };
+    if (slice !== currentLayer) {
+        currentLayer = slice;
+        highlightedGroup = null;
+        highlightBounds = null;
+        layerSlider.value = currentLayer;
+        updateLayerDisplay();
+        if (is3DMode) updateHighlight3D();
+    }
+
+    const rect = canvasArea.getBoundingClientRect();
+    offsetX = rect.width / 2 - (col + 0.5) * cellSize * scale;
+    offsetY = rect.height / 2 - (row + 0.5) * cellSize * scale;
+    updateLocateBar();
+    render();
+}
+
+btnLocatePrev.addEventListener('click', () => stepLocate(-1));
+btnLocateNext.addEventListener('click', () => stepLocate(1));
+btnLocateClear.addEventListener('click', clearLocate);
+
+// ─── Materials Export ───
+
+matExportScope.addEventListener('change', () => {
+    matExportRange.style.display = matExportScope.value === 'range' ? 'flex' : 'none';
+});
+
+/** Layer / range export options follow the slicing axis */
+function updateMaterialExportRange() {
+    const { unit } = SLICE_AXES[sliceAxis];
+    const maxSlice = getSliceCount() - 1;
+    matExportScope.querySelector('[value="layer"]').textContent = `Current ${unit.toLowerCase()}`;
+    matExportScope.querySelector('[value="range"]').textContent = `${unit} range`;
+    matExportAxis.textContent = sliceAxis.toUpperCase();
+    matExportFrom.max = matExportTo.max = maxSlice;
+    if (Number(matExportFrom.value) > maxSlice) matExportFrom.value = maxSlice;
+    if (Number(matExportTo.value) > maxSlice) matExportTo.value = maxSlice;
+}
+
+/**
+ * Material rows for the selected export scope.
+ * @returns {{ rows: Array<{itemId, name, count}>, scope: string }}
+ */
+function getMaterialsForScope() {
+    const { unit } = SLICE_AXES[sliceAxis];
+    const axis = sliceAxis.toUpperCase();
+    switch (matExportScope.value) {
+        case 'layer':
+            return {
+                rows: toMaterialRows(countMaterials(schematic, currentLayer, currentLayer, sliceAxis)),
+                scope: `${unit} ${axis} ${currentLayer}`,
+            };
+        case 'range': {
+            const maxSlice = getSliceCount() - 1;
+            const clamp = v => Math.max(0, Math.min(maxSlice, Number.isFinite(v) ? v : 0));
+            const a = clamp(parseInt(matExportFrom.value));
+            const b = clamp(parseInt(matExportTo.value));
+            const from = Math.min(a, b);
+            const to = Math.max(a, b);
+            return {
+                rows: toMaterialRows(countMaterials(schematic, from, to, sliceAxis)),
+                scope: `${unit}s ${axis} ${from}–${to}`,
+            };
+        }
+        case 'remaining': {
+            const remaining = new Map(materialsData.map(m => [m.itemId, m.count - m.placed]));
+            return { rows: toMaterialRows(remaining), scope: 'Remaining (not yet placed)' };
+        }
+        default:
+            return { rows: toMaterialRows(new Map(materialsData.map(m => [m.itemId, m.count]))), scope: 'Whole build' };
+    }
+}
+
+matExportActions.addEventListener('click', e => {
+    const type = e.target.dataset.export;
+    if (!type || !schematic) return;
+
+    let { rows, scope } = getMaterialsForScope();
+    if (matMode === 'raw') {
+        rows = toMaterialRows(toRawResources(new Map(rows.map(r => [r.itemId, r.count]))).resources);
+        scope += ' · raw resources';
+    }
+    const meta = { name: schematic.name, scope, unit: matUnit };
+    const slug = scope.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+
+    if (type === 'csv') {
+        downloadBlob(new Blob([materialsToCSV(rows)], { type: 'text/csv' }), `${schematic.name}-materials-${slug}.csv`);
+    } else if (type === 'json') {
+        downloadBlob(new Blob([materialsToJSON(rows, meta)], { type: 'application/json' }), `${schematic.name}-materials-${slug}.json`);
+    } else if (type === 'print') {
+        const win = window.open('', '_blank');
+        if (!win) {
+            alert('Please allow pop-ups to print the shopping list.');
+            return;
+        }
+        win.document.write(materialsToPrintableHTML(rows, meta));
+        win.document.close();
+        win.focus();
+        win.print();
+    }
+});
+
+// ─── Build Progress ───
+
+/**
+ * Recompute progress from placedBlocks: overall %, current layer completion
+ * and per-material placed counts (so the Materials list can show what's left).
+ */
+function updateProgress() {
+    if (!schematic) return;
+
+    const placedItems = new Map(); // itemId → placed count
+    let totalPlaced = 0;
+    let layersDone = 0;
+    let layersWithBlocks = 0;
+
+    for (const [layer, cells] of placedBlocks) {
+        for (const key of cells) {
+            const [x, z] = key.split(',').map(Number);
+            const info = schematic.palette[schematic.getIndex(x, layer, z)];
+            if (!info || info.air) continue;
+            addBlockItems(placedItems, info.blockState);
+            totalPlaced++;
+        }
+    }
+    for (let y = 0; y < layerTotals.length; y++) {
+        if (layerTotals[y] === 0) continue;
+        layersWithBlocks++;
+        if ((placedBlocks.get(y)?.size || 0) >= layerTotals[y]) layersDone++;
+    }
+
+    for (const m of materialsData) m.placed = placedItems.get(m.itemId) || 0;
+    renderMaterials(matSearch.value);
+
+    const total = schematic.totalNonAir;
+    const pct = total > 0 ? (totalPlaced / total) * 100 : 0;
+    progressPercent.textContent = `${pct.toFixed(pct > 0 && pct < 10 ? 1 : 0)}%`;
+    progressFill.style.width = `${pct}%`;
+    progressDetail.textContent =
+        `${totalPlaced.toLocaleString()} / ${total.toLocaleString()} blocks · ${layersDone} / ${layersWithBlocks} layers done`;
+
+    updateLayerProgress();
+}
+
+/** Completion bar for the current layer, shown under the layer slider */
+function updateLayerProgress() {
+    if (!schematic) return;
+    const total = getSliceTotals()[currentLayer] || 0;
+    // Counted like the total: marks on blocks of hidden regions don't count
+    let placed = 0;
+    for (const key of getPlacedInSlice()) {
+        const [col, row] = key.split(',').map(Number);
+        const idx = getPlaneIndex(col, row);
+        if (idx > 0 && !schematic.palette[idx].air) placed++;
+    }
+    const pct = total > 0 ? (placed / total) * 100 : 0;
+    layerProgressFill.style.width = `${pct}%`;
+    layerProgressFill.classList.toggle('complete', total > 0 && placed >= total);
+    layerProgressLabel.textContent = total > 0 ? `${placed} / ${total} placed` : `Empty ${SLICE_AXES[sliceAxis].unit.toLowerCase()}`;
+}
+
 // ─── Layer Navigation ───
 
 layerSlider.addEventListener('input', () => {
@@ -396,7 +1634,7 @@ layerSlider.addEventListener('input', () => {
     updateLayerDisplay();
 
     if (is3DMode) {
-        setHighlightLayer3D(currentLayer, chkHighlight3d.checked);
+        updateHighlight3D();
     } else {
         render();
     }
@@ -407,7 +1645,7 @@ btnLayerDown.addEventListener('click', () => changeLayer(-1));
 
 function changeLayer(delta) {
     if (!schematic) return;
-    const newLayer = Math.max(0, Math.min(schematic.height - 1, currentLayer + delta));
+    const newLayer = Math.max(0, Math.min(getSliceCount() - 1, currentLayer + delta));
     if (newLayer !== currentLayer) {
         currentLayer = newLayer;
         highlightedGroup = null;
@@ -416,7 +1654,7 @@ function changeLayer(delta) {
         updateLayerDisplay();
 
         if (is3DMode) {
-            setHighlightLayer3D(currentLayer, chkHighlight3d.checked);
+            updateHighlight3D();
         } else {
             render();
         }
@@ -425,10 +1663,23 @@ function changeLayer(delta) {
 
 function updateLayerDisplay() {
     if (!schematic) return;
-    layerDisplay.textContent = `${currentLayer} / ${schematic.height - 1}`;
+    // The slice's world coordinate, then its index inside the build
+    const world = toWorldCoords({ x: currentLayer, y: currentLayer, z: currentLayer })[sliceAxis];
+    layerDisplay.textContent = `${sliceAxis.toUpperCase()} ${world} · ${currentLayer} / ${getSliceCount() - 1}`;
+    updateLayerProgress();
+    updateLocateBar();
+}
+
+/** Fields that take typed text or arrow-key steps; sliders, checkboxes and buttons don't */
+function isTypingTarget(target) {
+    if (target.isContentEditable || target.tagName === 'TEXTAREA' || target.tagName === 'SELECT') return true;
+    return target.tagName === 'INPUT' && !['range', 'checkbox', 'radio', 'button', 'submit'].includes(target.type);
 }
 
 document.addEventListener('keydown', e => {
+    // Keys typed into a field (swap rules, origin, export range…) are not layer shortcuts
+    if (isTypingTarget(e.target)) return;
+
     if (e.key === 'ArrowUp' || e.key === 'w' || e.key === 'W') {
         e.preventDefault();
         changeLayer(1);
@@ -446,13 +1697,25 @@ btnToggleGrid.addEventListener('click', () => {
     render();
 });
 
+function updateChunksButton() {
+    btnToggleChunks.textContent = showChunks ? '⊞ Hide Chunks' : '⊞ Show Chunks';
+}
+
+updateChunksButton();
+btnToggleChunks.addEventListener('click', () => {
+    showChunks = !showChunks;
+    localStorage.setItem('showChunks', showChunks);
+    updateChunksButton();
+    render();
+});
+
 btnResetCamera3d.addEventListener('click', () => {
     resetCamera3D(schematic);
 });
 
 chkHighlight3d.addEventListener('change', () => {
     if (is3DMode) {
-        setHighlightLayer3D(currentLayer, chkHighlight3d.checked);
+        updateHighlight3D();
     }
 });
 
@@ -462,7 +1725,7 @@ btnView3d.addEventListener('click', async () => {
     switchTo3D();
     if (!is3DModelBuilt && schematic) {
         is3DModelBuilt = true;
-        await build3DModelAsync(schematic);
+        await build3DModelAsync(getVisibleSchematic());
     }
 });
 
@@ -495,7 +1758,7 @@ function switchTo3D() {
 
     // Applica subito l'eventuale highlight
     setTimeout(() => {
-        setHighlightLayer3D(currentLayer, chkHighlight3d.checked);
+        updateHighlight3D();
     }, 100);
 }
 
@@ -507,13 +1770,14 @@ function resetView() {
     const availW = rect.width - padding * 2;
     const availH = rect.height - padding * 2;
 
-    const scaleX = availW / (schematic.width * cellSize);
-    const scaleY = availH / (schematic.length * cellSize);
+    const { cols, rows } = getPlaneSize();
+    const scaleX = availW / (cols * cellSize);
+    const scaleY = availH / (rows * cellSize);
     scale = Math.min(scaleX, scaleY, 3);
     scale = Math.max(scale, 0.1);
 
-    const renderedW = schematic.width * cellSize * scale;
-    const renderedH = schematic.length * cellSize * scale;
+    const renderedW = cols * cellSize * scale;
+    const renderedH = rows * cellSize * scale;
     offsetX = (rect.width - renderedW) / 2;
     offsetY = (rect.height - renderedH) / 2;
 
@@ -578,12 +1842,14 @@ window.addEventListener('mouseup', e => {
         const bx = Math.floor((mx - offsetX) / (cellSize * scale));
         const bz = Math.floor((my - offsetY) / (cellSize * scale));
 
-        if (bx >= 0 && bx < schematic.width && bz >= 0 && bz < schematic.length) {
-            const blockState = schematic.getBlock(bx, currentLayer, bz);
-            if (!isAir(blockState)) {
+        const { cols, rows } = getPlaneSize();
+        if (bx >= 0 && bx < cols && bz >= 0 && bz < rows) {
+            if (!schematic.palette[getPlaneIndex(bx, bz)].air) {
                 const group = floodFill(bx, bz);
                 if (group) {
-                    togglePlaced(currentLayer, group.cells);
+                    togglePlaced(group.cells);
+                    persistProgress();
+                    updateProgress();
                     render();
                 }
             }
@@ -592,34 +1858,122 @@ window.addEventListener('mouseup', e => {
 });
 
 /**
- * Toggle placed state for a set of block cells on a given layer.
+ * Toggle placed state for a set of plane cells ("col,row") on the current slice.
  * If any cell in the group is NOT placed, mark all as placed.
  * If ALL cells are already placed, unmark all.
  */
-function togglePlaced(layer, cells) {
-    if (!placedBlocks.has(layer)) {
-        placedBlocks.set(layer, new Set());
-    }
-    const layerSet = placedBlocks.get(layer);
+function togglePlaced(cells) {
+    const blocks = [...cells].map(key => {
+        const [col, row] = key.split(',').map(Number);
+        return planeToWorld(col, row);
+    });
 
     // Check if all cells are already placed
-    let allPlaced = true;
-    for (const key of cells) {
-        if (!layerSet.has(key)) {
-            allPlaced = false;
-            break;
+    const allPlaced = blocks.every(({ x, y, z }) => placedBlocks.get(y)?.has(`${x},${z}`));
+
+    for (const { x, y, z } of blocks) {
+        if (!placedBlocks.has(y)) placedBlocks.set(y, new Set());
+        if (allPlaced) {
+            // Un-place all
+            placedBlocks.get(y).delete(`${x},${z}`);
+        } else {
+            // Place all
+            placedBlocks.get(y).add(`${x},${z}`);
         }
     }
+}
 
-    if (allPlaced) {
-        // Un-place all
-        for (const key of cells) layerSet.delete(key);
-    } else {
-        // Place all
-        for (const key of cells) layerSet.add(key);
+// ─── Progress Persistence ───
+
+async function restoreProgress() {
+    try {
+        const saved = await loadProgress(schematicHash);
+        if (!saved) return;
+        for (const [layer, cells] of fromSourcePlaced(saved)) placedBlocks.set(layer, cells);
+    } catch (err) {
+        // Progress is a convenience: never block loading the schematic on it
+        console.warn('Could not restore build progress:', err);
     }
 }
 
+function persistProgress() {
+    if (!schematicHash) return;
+    saveProgress(schematicHash, getSourcePlaced(), baseSchematic).catch(err => {
+        console.warn('Could not save build progress:', err);
+    });
+}
+
+btnResetLayerProgress.addEventListener('click', () => {
+    if (!schematic) return;
+    const sliceCells = getPlacedInSlice();
+    if (sliceCells.size === 0) return;
+    const what = `${SLICE_AXES[sliceAxis].unit.toLowerCase()} ${currentLayer}`;
+    if (!confirm(`Reset placed progress for ${what}? (${sliceCells.size} block${sliceCells.size > 1 ? 's' : ''})`)) return;
+
+    for (const key of sliceCells) {
+        const [col, row] = key.split(',').map(Number);
+        const { x, y, z } = planeToWorld(col, row);
+        placedBlocks.get(y)?.delete(`${x},${z}`);
+    }
+    persistProgress();
+    updateProgress();
+    render();
+});
+
+// ─── Progress Sharing ───
+
+/** Progress read from a file, waiting for the user to pick merge or replace */
+let pendingImport = null;
+
+btnProgressExport.addEventListener('click', () => {
+    if (!schematic || !schematicHash) return;
+    const json = createProgressFile(schematicHash, getSourcePlaced(), baseSchematic);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${schematic.name}.progress.json`);
+});
+
+btnProgressImport.addEventListener('click', () => {
+    if (!schematic) return;
+    progressFileInput.click();
+});
+
+progressFileInput.addEventListener('change', async e => {
+    const file = e.target.files[0];
+    progressFileInput.value = '';
+    if (!file || !schematic) return;
+
+    try {
+        const { name, placed } = readProgressFile(await file.text(), schematicHash, baseSchematic);
+        let count = 0;
+        for (const cells of placed.values()) count += cells.size;
+
+        pendingImport = fromSourcePlaced(placed);
+        progressImportText.textContent =
+            `Import ${count.toLocaleString()} placed block${count === 1 ? '' : 's'}${name ? ` from "${name}"` : ''}?`;
+        progressImportChoice.classList.add('open');
+    } catch (err) {
+        alert(`Cannot import progress: ${err.message}`);
+    }
+});
+
+progressImportChoice.addEventListener('click', e => {
+    const mode = e.target.dataset.mode;
+    if (!mode) return;
+    progressImportChoice.classList.remove('open');
+
+    if (mode !== 'cancel' && pendingImport) {
+        if (mode === 'replace') placedBlocks.clear();
+        for (const [layer, cells] of pendingImport) {
+            if (!placedBlocks.has(layer)) placedBlocks.set(layer, new Set());
+            const layerSet = placedBlocks.get(layer);
+            for (const key of cells) layerSet.add(key);
+        }
+        persistProgress();
+        updateProgress();
+        render();
+    }
+    pendingImport = null;
+});
+
 // ─── Hover Tooltip with Flood Fill ───
 
 /** Track which block coords are currently hovered to avoid redundant flood fills */
@@ -639,7 +1993,8 @@ function updateTooltip(e) {
     const bx = Math.floor(worldX);
     const bz = Math.floor(worldZ);
 
-    if (bx < 0 || bx >= schematic.width || bz < 0 || bz >= schematic.length) {
+    const { cols, rows } = getPlaneSize();
+    if (bx < 0 || bx >= cols || bz < 0 || bz >= rows) {
         if (highlightedGroup) {
             highlightedGroup = null;
             highlightBounds = null;
@@ -656,9 +2011,7 @@ function updateTooltip(e) {
         lastHoverX = bx;
         lastHoverZ = bz;
 
-        const blockState = schematic.getBlock(bx, currentLayer, bz);
-
-        if (isAir(blockState)) {
+        if (schematic.palette[getPlaneIndex(bx, bz)].air) {
             highlightedGroup = null;
             highlightBounds = null;
         } else {
@@ -674,13 +2027,14 @@ function updateTooltip(e) {
         render();
     }
 
-    const blockState = schematic.getBlock(bx, currentLayer, bz);
+    const world = planeToWorld(bx, bz);
+    const abs = toWorldCoords(world);
+    const blockState = getVisibleBlock(world.x, world.y, world.z);
     const name = getBlockDisplayName(blockState);
     const isAirBlock = isAir(blockState);
 
     // Texture preview
-    const texFile = getTextureFile(blockState);
-    const texSrc = texFile ? `block/${texFile}` : null;
+    const texSrc = getTextureUrl(blockState);
     const color = getBlockColor(blockState);
     const bgStyle = isAirBlock
         ? 'repeating-conic-gradient(rgba(255,255,255,0.06) 0% 25%, transparent 0% 50%) 0 0 / 10px 10px'
@@ -696,7 +2050,8 @@ function updateTooltip(e) {
         <div class="block-dims">
           <span class="dim-size">${b.w} × ${b.h}</span>
           <span class="dim-count">${b.count} block${b.count > 1 ? 's' : ''}</span>
-        </div>`;
+        </div>
+        <div class="dim-range">${formatPlaneCoords(b.minX, b.minZ)} → ${formatPlaneCoords(b.maxX, b.maxZ)}</div>`;
     }
 
     tooltipInfo.innerHTML = `
@@ -704,140 +2059,128 @@ function updateTooltip(e) {
       <div class="color-swatch" style="background: ${bgStyle}; image-rendering: pixelated;"></div>
       <div>
         <div class="block-name">${name}</div>
-        <div class="block-coords">X: ${bx}  Y: ${currentLayer}  Z: ${bz}</div>
+        <div class="block-coords">X: ${abs.x}  Y: ${abs.y}  Z: ${abs.z}</div>
+        <div class="block-chunk">Chunk ${chunkOf(abs.x)}, ${chunkOf(abs.z)} · section ${chunkOf(abs.y)}</div>
         ${dimHtml}
       </div>
     </div>
   `;
 }
 
-// ─── Canvas Rendering ───
+// ─── Layer Tile Cache ───
 
-function render() {
-    const rect = canvasArea.getBoundingClientRect();
-    const w = rect.width;
-    const h = rect.height;
+/** Layers are rendered in square tiles of TILE_CELLS × TILE_CELLS blocks */
+const TILE_CELLS = 32;
+/**
+ * Tiles are about 1 MB each, so the cache keeps twice the tiles the last frame needed (at least
+ * MIN_CACHED_TILES): enough for small pans and zooms, dropping the least recently drawn beyond that
+ */
+const MIN_CACHED_TILES = 12;
+let maxCachedTiles = MIN_CACHED_TILES;
+/** "slice:tx,tz" → rendered tile canvas of the current slicing axis, in least-recently-used order */
+const tileCache = new Map();
+
+/** Drop every cached layer tile: call whenever what a layer looks like changes */
+function invalidateLayerCache() {
+    tileCache.clear();
+    // Located-block counts come from the same visible slices
+    invalidateLocateCounts();
+}
 
-    ctx.clearRect(0, 0, w, h);
+function createTileCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const tileCanvas = document.createElement('canvas');
+    tileCanvas.width = width;
+    tileCanvas.height = height;
+    return tileCanvas;
+}
 
-    if (!schematic) return;
+const FOLIAGE_IDS = new Set(['grass_block', 'short_grass', 'tall_grass', 'fern', 'large_fern', 'vine', 'sugar_cane']);
 
-    ctx.save();
-    ctx.translate(offsetX, offsetY);
-    ctx.scale(scale, scale);
+/** Draw a single block (handles both texture, color, and tinting) */
+function drawCell(c, px, py, info, alpha) {
+    if (info.air) return;
+    const baseId = info.baseId;
 
-    // Disable image smoothing so pixel art textures stay sharp
-    ctx.imageSmoothingEnabled = false;
+    c.globalAlpha = alpha;
+
+    // Try texture first
+    if (info.texture) {
+        c.drawImage(info.texture, px, py, cellSize, cellSize);
+    } else if (info.color) {
+        // Fallback to flat color
+        c.fillStyle = info.color;
+        c.fillRect(px, py, cellSize, cellSize);
+    }
 
-    const sW = schematic.width;
-    const sL = schematic.length;
+    // ─── Biome tint for foliage/grass (grayscale → green) ───
+    if (baseId && (baseId.includes('leaves') || FOLIAGE_IDS.has(baseId))) {
+        c.globalCompositeOperation = 'multiply';
+        c.fillStyle = baseId.includes('leaves') ? '#6aaf3a' : '#79c05a';
+        c.fillRect(px, py, cellSize, cellSize);
+        c.globalCompositeOperation = 'source-over';
+    }
+    c.globalAlpha = 1.0;
+}
 
-    // Draw checkerboard background for the schematic area
+/**
+ * Render one tile of a slice: checkerboard, the faint slice behind (the layer below when
+ * top-down), the blocks and the stack indicator. Everything here only changes with the blocks
+ * themselves or the slicing axis.
+ */
+function renderLayerTile(slice, tx, tz) {
+    const x0 = tx * TILE_CELLS;
+    const z0 = tz * TILE_CELLS;
+    const { cols, rows } = getPlaneSize();
+    const cellsX = Math.min(TILE_CELLS, cols - x0);
+    const cellsZ = Math.min(TILE_CELLS, rows - z0);
+    const tile = createTileCanvas(cellsX * cellSize, cellsZ * cellSize);
+    const c = tile.getContext('2d');
+    c.imageSmoothingEnabled = false;
+    const palette = schematic.palette;
+    const sliceCount = getSliceCount();
+
+    // Checkerboard background for the schematic area
     const checkerSize = cellSize / 2;
-    for (let z = 0; z < sL; z++) {
-        for (let x = 0; x < sW; x++) {
-            const px = x * cellSize;
-            const py = z * cellSize;
-            for (let cz = 0; cz < 2; cz++) {
-                for (let cx = 0; cx < 2; cx++) {
-                    const isDark = (cx + cz) % 2 === 0;
-                    ctx.fillStyle = isDark ? 'rgba(255,255,255,0.03)' : 'rgba(255,255,255,0.06)';
-                    ctx.fillRect(px + cx * checkerSize, py + cz * checkerSize, checkerSize, checkerSize);
-                }
-            }
+    for (let z = 0; z < cellsZ * 2; z++) {
+        for (let x = 0; x < cellsX * 2; x++) {
+            c.fillStyle = (x + z) % 2 === 0 ? 'rgba(255,255,255,0.03)' : 'rgba(255,255,255,0.06)';
+            c.fillRect(x * checkerSize, z * checkerSize, checkerSize, checkerSize);
         }
     }
 
-    // Helper to draw a single block (handles both texture, color, and tinting)
-    function drawCell(x, z, blockState, alpha) {
-        if (isAir(blockState)) return;
-        const px = x * cellSize;
-        const py = z * cellSize;
-        const baseId = getBaseBlockId(blockState);
-
-        ctx.globalAlpha = alpha;
-
-        // Try texture first
-        const texImg = getTexture(blockState);
-        if (texImg) {
-            ctx.drawImage(texImg, px, py, cellSize, cellSize);
-        } else {
-            // Fallback to flat color
-            const color = getBlockColor(blockState);
-            if (color) {
-                ctx.fillStyle = color;
-                ctx.fillRect(px, py, cellSize, cellSize);
-            }
-        }
+    // Cells are read straight from blockIndices: the slice behind is one stride back, the
+    // slices towards the viewer one stride ahead each
+    const stride = getSliceStride();
 
-        // ─── Biome tint for foliage/grass (grayscale → green) ───
-        if (baseId && (baseId.includes('leaves') || baseId === 'grass_block'
-            || baseId === 'short_grass' || baseId === 'tall_grass'
-            || baseId === 'fern' || baseId === 'large_fern'
-            || baseId === 'vine' || baseId === 'sugar_cane')) {
-            ctx.globalCompositeOperation = 'multiply';
-            ctx.fillStyle = baseId.includes('leaves') ? '#6aaf3a' : '#79c05a';
-            ctx.fillRect(px, py, cellSize, cellSize);
-            ctx.globalCompositeOperation = 'source-over';
-        }
-        ctx.globalAlpha = 1.0;
-    }
-
-    // ─── Draw the layer below (faintly) ───
-    if (currentLayer > 0) {
-        for (let z = 0; z < sL; z++) {
-            for (let x = 0; x < sW; x++) {
-                const belowState = schematic.getBlock(x, currentLayer - 1, z);
-                if (!isAir(belowState)) {
-                    const isHovered = (x === lastHoverX && z === lastHoverZ);
-                    const alpha = isHovered ? 0.40 : 0.15;
-                    drawCell(x, z, belowState, alpha);
-                }
+    // ─── The slice below / behind (faintly) ───
+    if (slice > 0) {
+        for (let z = 0; z < cellsZ; z++) {
+            for (let x = 0; x < cellsX; x++) {
+                const below = planeToBlockIndex(x0 + x, z0 + z, slice) - stride;
+                drawCell(c, x * cellSize, z * cellSize, palette[visibleIndexAt(below)], 0.15);
             }
         }
     }
 
-    // ─── Draw the current layer blocks ───
-    const layerPlaced = placedBlocks.get(currentLayer);
-
-    for (let z = 0; z < sL; z++) {
-        for (let x = 0; x < sW; x++) {
-            const blockState = schematic.getBlock(x, currentLayer, z);
-            if (isAir(blockState)) continue;
-
-            // Draw the main block
-            drawCell(x, z, blockState, 1.0);
+    // ─── The layer's blocks ───
+    for (let z = 0; z < cellsZ; z++) {
+        for (let x = 0; x < cellsX; x++) {
+            const cell = planeToBlockIndex(x0 + x, z0 + z, slice);
+            const info = palette[visibleIndexAt(cell)];
+            if (info.air) continue;
 
             const px = x * cellSize;
             const py = z * cellSize;
-            const baseId = getBaseBlockId(blockState);
-
-            // ─── Placed overlay ───
-            const key = `${x},${z}`;
-            if (layerPlaced && layerPlaced.has(key)) {
-                // Green tint overlay
-                ctx.fillStyle = 'rgba(0, 206, 201, 0.35)';
-                ctx.fillRect(px, py, cellSize, cellSize);
-                // Diagonal strikethrough line
-                ctx.strokeStyle = 'rgba(0, 206, 201, 0.7)';
-                ctx.lineWidth = 1.5 / scale;
-                ctx.beginPath();
-                ctx.moveTo(px + 1, py + 1);
-                ctx.lineTo(px + cellSize - 1, py + cellSize - 1);
-                ctx.stroke();
-            }
+            drawCell(c, px, py, info, 1.0);
 
             // ─── Vertical Stack Indicator ───
             let stackCount = 0;
-            // Scan upwards to count identical blocks
-            for (let y = currentLayer + 1; y < schematic.height; y++) {
-                const aboveState = schematic.getBlock(x, y, z);
-                if (isAir(aboveState)) break;
-                if (getBaseBlockId(aboveState) === baseId) {
-                    stackCount++;
-                } else {
-                    break;
-                }
+            // Scan upwards (towards the viewer) to count identical blocks
+            for (let next = slice + 1, i = cell + stride; next < sliceCount; next++, i += stride) {
+                const aboveInfo = palette[visibleIndexAt(i)];
+                if (aboveInfo.air || aboveInfo.baseId !== info.baseId) break;
+                stackCount++;
             }
 
             if (stackCount > 0) {
@@ -846,30 +2189,171 @@ function render() {
                 // Base intensity 0.15 up to 0.7 depending on height
                 const intensity = 0.15 + 0.55 * Math.min(stackCount / maxStack, 1.0);
 
-                // Overlay a warm amber/orange tint
-                ctx.fillStyle = `rgba(255, 140, 0, ${intensity})`;
+                // Overlay a warm amber/orange tint, blended smoothly over the block texture
+                c.fillStyle = `rgba(255, 140, 0, ${intensity})`;
+                c.globalCompositeOperation = 'source-atop';
+                c.fillRect(px, py, cellSize, cellSize);
+                c.globalCompositeOperation = 'source-over';
+            }
+        }
+    }
+
+    return tile;
+}
+
+function getLayerTile(slice, tx, tz) {
+    const key = `${slice}:${tx},${tz}`;
+    let tile = tileCache.get(key);
+    if (tile) {
+        // Move to the most recently used end
+        tileCache.delete(key);
+    } else {
+        tile = renderLayerTile(slice, tx, tz);
+        if (tileCache.size >= maxCachedTiles) tileCache.delete(tileCache.keys().next().value);
+    }
+    tileCache.set(key, tile);
+    return tile;
+}
+
+// ─── Canvas Rendering ───
+
+/**
+ * Draw the current layer from cached tiles, then the per-frame overlays (hover, placed,
+ * grid, highlight). Only the cells inside the viewport are drawn.
+ */
+function render() {
+    const rect = canvasArea.getBoundingClientRect();
+    const w = rect.width;
+    const h = rect.height;
+
+    ctx.clearRect(0, 0, w, h);
+
+    if (!schematic) return;
+
+    ctx.save();
+    ctx.translate(offsetX, offsetY);
+    ctx.scale(scale, scale);
+
+    // Disable image smoothing so pixel art textures stay sharp
+    ctx.imageSmoothingEnabled = false;
+
+    const { cols: sW, rows: sL } = getPlaneSize();
+
+    // Visible cell range (viewport culling)
+    const cellPx = cellSize * scale;
+    const minX = Math.max(0, Math.floor(-offsetX / cellPx));
+    const minZ = Math.max(0, Math.floor(-offsetY / cellPx));
+    const maxX = Math.min(sW - 1, Math.floor((w - offsetX) / cellPx));
+    const maxZ = Math.min(sL - 1, Math.floor((h - offsetY) / cellPx));
+
+    // ─── Cached layer tiles ───
+    const tileMinX = Math.floor(minX / TILE_CELLS);
+    const tileMinZ = Math.floor(minZ / TILE_CELLS);
+    const tileMaxX = Math.floor(maxX / TILE_CELLS);
+    const tileMaxZ = Math.floor(maxZ / TILE_CELLS);
+    const visibleTiles = Math.max(0, tileMaxX - tileMinX + 1) * Math.max(0, tileMaxZ - tileMinZ + 1);
+    maxCachedTiles = Math.max(MIN_CACHED_TILES, visibleTiles * 2);
+    while (tileCache.size > maxCachedTiles) tileCache.delete(tileCache.keys().next().value);
+    for (let tz = tileMinZ; tz <= tileMaxZ; tz++) {
+        for (let tx = tileMinX; tx <= tileMaxX; tx++) {
+            ctx.drawImage(getLayerTile(currentLayer, tx, tz), tx * TILE_CELLS * cellSize, tz * TILE_CELLS * cellSize);
+        }
+    }
+
+    // ─── Hovered cell: show the block below more clearly through an empty cell ───
+    if (currentLayer > 0 && lastHoverX >= 0 && lastHoverX < sW && lastHoverZ >= 0 && lastHoverZ < sL
+        && schematic.palette[getPlaneIndex(lastHoverX, lastHoverZ)].air) {
+        // Brings the underlay from 0.15 to about 0.40 opacity
+        const belowInfo = schematic.palette[getPlaneIndex(lastHoverX, lastHoverZ, currentLayer - 1)];
+        drawCell(ctx, lastHoverX * cellSize, lastHoverZ * cellSize, belowInfo, 0.3);
+    }
+
+    // ─── Placed overlay ───
+    const layerPlaced = getPlacedInSlice();
+    if (layerPlaced.size > 0) {
+        ctx.fillStyle = 'rgba(0, 206, 201, 0.35)';
+        ctx.strokeStyle = 'rgba(0, 206, 201, 0.7)';
+        ctx.lineWidth = 1.5 / scale;
+        ctx.beginPath();
+        for (const key of layerPlaced) {
+            const [x, z] = key.split(',').map(Number);
+            if (x < minX || x > maxX || z < minZ || z > maxZ) continue;
+            if (schematic.palette[getPlaneIndex(x, z)].air) continue;
+            const px = x * cellSize;
+            const py = z * cellSize;
+            // Green tint overlay
+            ctx.fillRect(px, py, cellSize, cellSize);
+            // Diagonal strikethrough line
+            ctx.moveTo(px + 1, py + 1);
+            ctx.lineTo(px + cellSize - 1, py + cellSize - 1);
+        }
+        ctx.stroke();
+    }
 
-                // Blend it smoothly over the block texture
-                ctx.globalCompositeOperation = 'source-atop';
-                ctx.fillRect(px, py, cellSize, cellSize);
-                ctx.globalCompositeOperation = 'source-over'; // restore
+    // ─── Located blocks on this slice ───
+    if (locate && minX <= maxX && minZ <= maxZ && getLocateCounts()[currentLayer] > 0) {
+        const layer = sliceAxis === 'y' ? getVisibleLayer(currentLayer) : null;
+        const inset = 1 / scale;
+        ctx.fillStyle = 'rgba(253, 203, 110, 0.35)';
+        ctx.strokeStyle = 'rgba(253, 203, 110, 0.95)';
+        ctx.lineWidth = 2 / scale;
+        ctx.beginPath();
+        for (let z = minZ; z <= maxZ; z++) {
+            for (let x = minX; x <= maxX; x++) {
+                const idx = layer ? layer[x + z * sW] : getPlaneIndex(x, z);
+                if (!locate.matches[idx]) continue;
+                ctx.fillRect(x * cellSize, z * cellSize, cellSize, cellSize);
+                ctx.rect(x * cellSize + inset, z * cellSize + inset, cellSize - inset * 2, cellSize - inset * 2);
             }
         }
+        ctx.stroke();
+
+        // The block the navigator jumped to
+        const cursor = locate.cursor;
+        if (cursor?.slice === currentLayer) {
+            const pad = 3 / scale;
+            ctx.strokeStyle = '#FF6B4A';
+            ctx.lineWidth = 3 / scale;
+            ctx.strokeRect(cursor.col * cellSize - pad, cursor.row * cellSize - pad, cellSize + pad * 2, cellSize + pad * 2);
+        }
     }
 
     // Draw grid
-    if (showGrid) {
+    if (showGrid && minX <= maxX && minZ <= maxZ) {
         ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
         ctx.lineWidth = 0.5 / scale;
 
         ctx.beginPath();
-        for (let x = 0; x <= sW; x++) {
-            ctx.moveTo(x * cellSize, 0);
-            ctx.lineTo(x * cellSize, sL * cellSize);
+        for (let x = minX; x <= maxX + 1; x++) {
+            ctx.moveTo(x * cellSize, minZ * cellSize);
+            ctx.lineTo(x * cellSize, (maxZ + 1) * cellSize);
         }
-        for (let z = 0; z <= sL; z++) {
-            ctx.moveTo(0, z * cellSize);
-            ctx.lineTo(sW * cellSize, z * cellSize);
+        for (let z = minZ; z <= maxZ + 1; z++) {
+            ctx.moveTo(minX * cellSize, z * cellSize);
+            ctx.lineTo((maxX + 1) * cellSize, z * cellSize);
+        }
+        ctx.stroke();
+    }
+
+    // ─── Chunk borders, aligned to world coordinates (chunk sections along Y) ───
+    if (showChunks && minX <= maxX && minZ <= maxZ) {
+        const [colAxis, rowAxis] = PLANE_AXES[sliceAxis];
+        const colWorld = col => toWorldCoords(planeToWorld(col, 0))[colAxis];
+        const rowWorld = row => toWorldCoords(planeToWorld(0, row))[rowAxis];
+
+        ctx.strokeStyle = 'rgba(253, 203, 110, 0.7)';
+        ctx.lineWidth = 1.5 / scale;
+        ctx.beginPath();
+        // A border runs between two cells that fall in different chunks
+        for (let x = Math.max(1, minX); x <= maxX; x++) {
+            if (chunkOf(colWorld(x)) === chunkOf(colWorld(x - 1))) continue;
+            ctx.moveTo(x * cellSize, minZ * cellSize);
+            ctx.lineTo(x * cellSize, (maxZ + 1) * cellSize);
+        }
+        for (let z = Math.max(1, minZ); z <= maxZ; z++) {
+            if (chunkOf(rowWorld(z)) === chunkOf(rowWorld(z - 1))) continue;
+            ctx.moveTo(minX * cellSize, z * cellSize);
+            ctx.lineTo((maxX + 1) * cellSize, z * cellSize);
         }
         ctx.stroke();
     }
@@ -978,6 +2462,28 @@ function render() {
                 ctx.fillText(label, lx, ly);
             }
 
+            // World coordinates of the group's bounding corners
+            function drawCornerLabel(label, x, y, align) {
+                ctx.textAlign = align;
+                const tw = ctx.measureText(label).width;
+                const pp = 3 / scale;
+                const left = align === 'right' ? x - tw : x;
+                ctx.fillStyle = 'rgba(10, 10, 15, 0.75)';
+                ctx.beginPath();
+                ctx.roundRect(left - pp, y - fontSize * 0.55, tw + pp * 2, fontSize * 1.1, 3 / scale);
+                ctx.fill();
+                ctx.fillStyle = dimColor;
+                ctx.fillText(label, x, y);
+                ctx.textAlign = 'center';
+            }
+            const cornerOffset = gap * 2 + fontSize * 1.5;
+            drawCornerLabel(formatPlaneCoords(b.minX, b.minZ),
+                b.minX * cellSize - gap, b.minZ * cellSize - cornerOffset, 'right');
+            if (b.count > 1) {
+                drawCornerLabel(formatPlaneCoords(b.maxX, b.maxZ),
+                    (b.maxX + 1) * cellSize + gap, (b.maxZ + 1) * cellSize + cornerOffset, 'left');
+            }
+
             // Build per-column top/bottom and per-row left/right
             const colTop = new Map();  // x → minZ
             const colBot = new Map();  // x → maxZ
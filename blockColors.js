@@ -2,6 +2,7 @@
  * blockColors.js — Auto-discovery texture system
  * For each block, tries to find matching textures in block/ folder.
  * Priority: _top.png → .png → fallback color
+ * The 3D view also resolves per-face textures (top / bottom / side / front).
  */
 
 const TEXTURE_BASE = 'block/';
@@ -148,62 +149,145 @@ const WAXED_MAP = {
     'waxed_oxidized_copper_bulb': 'oxidized_copper_bulb',
 };
 
+// Per-face overrides where the face texture isn't named <base>_<face>.png
+const FACE_OVERRIDES = {
+    'grass_block': { bottom: 'dirt' },
+    'podzol': { bottom: 'dirt' },
+    'mycelium': { bottom: 'dirt' },
+    'dirt_path': { bottom: 'dirt' },
+    'crafting_table': { bottom: 'oak_planks' },
+    'bookshelf': { top: 'oak_planks', bottom: 'oak_planks', side: 'bookshelf' },
+    'carved_pumpkin': { top: 'pumpkin_top', bottom: 'pumpkin_top', side: 'pumpkin_side', front: 'carved_pumpkin' },
+    'jack_o_lantern': { top: 'pumpkin_top', bottom: 'pumpkin_top', side: 'pumpkin_side', front: 'jack_o_lantern' },
+    'beehive': { top: 'beehive_end', bottom: 'beehive_end' },
+};
+
+const FACES = ['top', 'bottom', 'side', 'front'];
+
 // ─── Texture cache ───
 const textureCache = new Map();   // blockId → Image|'none'
+const faceCache = new Map();      // blockId → { top, bottom, side, front } (Image|null each)
 const imageCache = new Map();     // filename → Image
 const pendingLoads = new Map();   // filename → Promise<Image|null>
+const imageNames = new WeakMap(); // Image → filename, since pack textures load from blob: URLs
+
+/** Resource pack textures (filename → object URL), tried before the bundled block/ folder */
+let packTextures = new Map();
+/** Bumped whenever the texture source changes, so loads started before it are dropped */
+let textureGeneration = 0;
+
+function loadImage(src) {
+    if (!src) return Promise.resolve(null);
+    return new Promise(resolve => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = () => resolve(null);
+        img.src = src;
+    });
+}
 
 /**
- * Try to load an image from the block/ folder. Returns a Promise.
+ * Try to load an image from the resource pack, then from the block/ folder. Returns a Promise.
  * Resolves to Image on success, null on 404/error.
  */
 function tryLoadImage(filename) {
     if (imageCache.has(filename)) return Promise.resolve(imageCache.get(filename));
     if (pendingLoads.has(filename)) return pendingLoads.get(filename);
 
-    const promise = new Promise(resolve => {
-        const img = new Image();
-        img.onload = () => { imageCache.set(filename, img); resolve(img); };
-        img.onerror = () => { imageCache.set(filename, null); resolve(null); };
-        img.src = TEXTURE_BASE + filename;
-    });
+    const generation = textureGeneration;
+    const promise = loadImage(packTextures.get(filename))
+        .then(img => img || loadImage(TEXTURE_BASE + filename))
+        .then(img => {
+            if (img) imageNames.set(img, filename);
+            if (generation === textureGeneration) imageCache.set(filename, img);
+            return img;
+        });
     pendingLoads.set(filename, promise);
     return promise;
 }
 
 /**
- * Resolve the base texture name for a block ID (without minecraft: prefix).
- * Returns an array of candidate filenames to try, in priority order.
+ * Use a resource pack's block textures ahead of the bundled ones, or go back to the bundled
+ * textures with null. Every cached texture is dropped: call preloadTextures again afterwards.
+ * @param {Map<string, Blob>|null} textures - filename (e.g. "oak_log.png") → PNG
  */
-function getCandidates(blockId) {
+export function setResourcePackTextures(textures) {
+    for (const url of packTextures.values()) URL.revokeObjectURL(url);
+    packTextures = new Map();
+    for (const [filename, blob] of textures || []) packTextures.set(filename, URL.createObjectURL(blob));
+
+    textureGeneration++;
+    textureCache.clear();
+    faceCache.clear();
+    imageCache.clear();
+    pendingLoads.clear();
+}
+
+/** Filename of a texture Image (e.g. "oak_log_top.png"), wherever it was loaded from */
+export function getImageTextureName(img) {
+    return imageNames.get(img) ?? null;
+}
+
+/**
+ * Resolve the base texture name for a block ID (without minecraft: prefix),
+ * e.g. "oak_log" → "oak_log", "stone_brick_stairs" → "stone_bricks".
+ */
+function getTextureBase(blockId) {
     // Check direct override
-    if (NAME_OVERRIDES[blockId]) {
-        const ov = NAME_OVERRIDES[blockId];
-        // If override already has extension info, just use it
-        if (ov.endsWith('.png')) return [ov];
-        return [ov + '_top.png', ov + '.png'];
-    }
+    if (NAME_OVERRIDES[blockId]) return NAME_OVERRIDES[blockId];
 
     // Waxed copper
-    if (WAXED_MAP[blockId]) {
-        const base = WAXED_MAP[blockId];
-        return [base + '_top.png', base + '.png'];
-    }
+    if (WAXED_MAP[blockId]) return WAXED_MAP[blockId];
 
     // Derived blocks (stairs, slabs, walls, etc.)
-    if (DERIVED_OVERRIDES[blockId]) {
-        const base = DERIVED_OVERRIDES[blockId];
-        return [base + '_top.png', base + '.png'];
-    }
+    if (DERIVED_OVERRIDES[blockId]) return DERIVED_OVERRIDES[blockId];
     for (const [pattern, replacement] of DERIVED_BLOCK_PATTERNS) {
         if (pattern.test(blockId)) {
             const base = blockId.replace(pattern, replacement);
-            if (base) return [base + '_top.png', base + '.png'];
+            if (base) return base;
         }
     }
 
+    return blockId;
+}
+
+/**
+ * Candidate filenames for a block's single (top-down) texture, in priority order.
+ */
+function getCandidates(blockId) {
+    const base = getTextureBase(blockId);
+    // If override already has extension info, just use it
+    if (base.endsWith('.png')) return [base];
+
     // Default: try _top first (top-down view), then plain
-    return [blockId + '_top.png', blockId + '.png'];
+    return [base + '_top.png', base + '.png'];
+}
+
+/**
+ * Candidate filenames per face: { top, bottom, side, front }.
+ * e.g. oak_log → top: oak_log_top, side: oak_log; furnace → front: furnace_front.
+ * front stays empty unless the block really has one (it is only used with a facing).
+ */
+function getFaceCandidates(blockId) {
+    const base = getTextureBase(blockId);
+    if (base.endsWith('.png')) return { top: [base], bottom: [base], side: [base], front: [] };
+
+    const overrides = FACE_OVERRIDES[blockId] || {};
+    const pick = (face, fallback) => overrides[face] ? [overrides[face] + '.png'] : fallback;
+    return {
+        top: pick('top', [base + '_top.png', base + '.png']),
+        bottom: pick('bottom', [base + '_bottom.png', base + '_top.png', base + '.png']),
+        side: pick('side', [base + '_side.png', base + '.png', base + '_top.png']),
+        front: pick('front', [base + '_front.png']),
+    };
+}
+
+async function loadFirst(candidates) {
+    for (const filename of candidates) {
+        const img = await tryLoadImage(filename);
+        if (img) return img;
+    }
+    return null;
 }
 
 /**
@@ -220,15 +304,17 @@ export async function preloadTextures(paletteList) {
 
         const candidates = getCandidates(blockId);
 
+        const generation = textureGeneration;
         const p = (async () => {
-            for (const filename of candidates) {
-                const img = await tryLoadImage(filename);
-                if (img) {
-                    textureCache.set(blockId, img);
-                    return;
-                }
-            }
-            textureCache.set(blockId, 'none');
+            const img = await loadFirst(candidates);
+            const faceCandidates = getFaceCandidates(blockId);
+            const faces = {};
+            for (const face of FACES) faces[face] = await loadFirst(faceCandidates[face]);
+
+            // The resource pack changed meanwhile: these came from the old one
+            if (generation !== textureGeneration) return;
+            textureCache.set(blockId, img || 'none');
+            faceCache.set(blockId, faces);
         })();
 
         promises.push(p);
@@ -249,6 +335,18 @@ export function getTexture(blockState) {
     return cached;
 }
 
+/**
+ * Get the per-face textures for a block state: { top, bottom, side, front }, each an Image or null.
+ * Returns null when the block has no textures at all. Must call preloadTextures first.
+ */
+export function getFaceTextures(blockState) {
+    if (!blockState) return null;
+    const blockId = blockState.split('[')[0].toLowerCase().replace('minecraft:', '');
+    const faces = faceCache.get(blockId);
+    if (!faces || (!faces.top && !faces.bottom && !faces.side && !faces.front)) return null;
+    return faces;
+}
+
 /**
  * Get the texture filename for tooltip display.
  */
@@ -257,10 +355,15 @@ export function getTextureFile(blockState) {
     const blockId = blockState.split('[')[0].toLowerCase().replace('minecraft:', '');
     const cached = textureCache.get(blockId);
     if (!cached || cached === 'none') return null;
-    // Extract filename from img.src
-    const src = cached.src;
-    const idx = src.lastIndexOf('/');
-    return idx >= 0 ? src.substring(idx + 1) : src;
+    return getImageTextureName(cached);
+}
+
+/**
+ * Get the URL of a block's texture, for CSS backgrounds (a blob: URL for resource pack textures).
+ */
+export function getTextureUrl(blockState) {
+    const img = getTexture(blockState);
+    return img ? img.src : null;
 }
 
 // ─── Fallback colors (used when no texture is available) ───
@@ -323,8 +426,52 @@ export function getBaseBlockId(blockState) {
     return blockState.split('[')[0].toLowerCase().replace('minecraft:', '');
 }
 
+/**
+ * Parse the properties of a block state.
+ * e.g. "minecraft:oak_log[axis=x]" → { axis: 'x' }
+ */
+export function getBlockProperties(blockState) {
+    const props = {};
+    if (!blockState) return props;
+    const bracket = blockState.indexOf('[');
+    if (bracket === -1) return props;
+    for (const pair of blockState.slice(bracket + 1, -1).split(',')) {
+        const [key, value] = pair.split('=');
+        if (key) props[key] = value;
+    }
+    return props;
+}
+
 export function isAir(blockState) {
     if (!blockState) return true;
     const b = blockState.split('[')[0].toLowerCase();
     return b === 'minecraft:air' || b === 'minecraft:cave_air' || b === 'minecraft:void_air' || b === 'air';
 }
+
+// ─── Palette metadata ───
+
+/**
+ * @typedef {Object} PaletteInfo
+ * Everything the views need about one palette entry, resolved once per load.
+ * @property {string|null} blockState
+ * @property {string|null} baseId      - e.g. "oak_log"
+ * @property {boolean} air
+ * @property {string} color            - Fallback color when there is no texture
+ * @property {HTMLImageElement|null} texture
+ * @property {string|null} textureFile
+ */
+
+/**
+ * Resolve the metadata of every palette entry (index → PaletteInfo).
+ * Must call preloadTextures first.
+ */
+export function getPaletteInfo(paletteList) {
+    return paletteList.map(blockState => ({
+        blockState,
+        baseId: getBaseBlockId(blockState),
+        air: isAir(blockState),
+        color: getBlockColor(blockState),
+        texture: getTexture(blockState),
+        textureFile: getTextureFile(blockState),
+    }));
+}
@@ -0,0 +1,238 @@
+/**
+ * exporter.js — Serialize a Schematic back to NBT: Sponge v2/v3 (.schem), Litematic (.litematic)
+ *               and vanilla structure block (.nbt)
+ * Works from the Schematic's getBlock, so whatever view is passed in is what gets written.
+ */
+import { write, Int16, Int32 } from 'https://cdn.jsdelivr.net/npm/nbtify@2/+esm';
+
+// Used when the source file had no DataVersion (Sponge v1, legacy .schematic): 1.21.1
+const DEFAULT_DATA_VERSION = 3955;
+
+/** Export targets: id → { label, extension } */
+export const EXPORT_FORMATS = {
+    'schem-v3': { label: 'Sponge v3 (.schem)', extension: 'schem' },
+    'schem-v2': { label: 'Sponge v2 (.schem)', extension: 'schem' },
+    'litematic': { label: 'Litematic (.litematic)', extension: 'litematic' },
+    'nbt': { label: 'Structure (.nbt)', extension: 'nbt' },
+};
+
+// ─── Block collection ───
+
+/**
+ * Read every block through getBlock into a compact palette (air first, only used states)
+ * and an index array in YZX order: x + z * width + y * width * length.
+ */
+function collectBlocks(schematic) {
+    const { width, height, length, getBlock } = schematic;
+    const paletteList = ['minecraft:air'];
+    const lookup = new Map([['minecraft:air', 0]]);
+    const indices = new Int32Array(width * height * length);
+
+    let i = 0;
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < length; z++) {
+            for (let x = 0; x < width; x++, i++) {
+                const blockState = getBlock(x, y, z) || 'minecraft:air';
+                let idx = lookup.get(blockState);
+                if (idx === undefined) {
+                    idx = paletteList.length;
+                    paletteList.push(blockState);
+                    lookup.set(blockState, idx);
+                }
+                indices[i] = idx;
+            }
+        }
+    }
+
+    return { paletteList, indices };
+}
+
+/**
+ * Split a block state string into an NBT palette entry.
+ * e.g. "minecraft:oak_stairs[facing=east,half=bottom]" → { Name, Properties: { facing, half } }
+ */
+function blockStateToEntry(blockState) {
+    const bracket = blockState.indexOf('[');
+    if (bracket === -1) return { Name: blockState };
+
+    const Properties = {};
+    for (const pair of blockState.slice(bracket + 1, -1).split(',')) {
+        const [key, value] = pair.split('=');
+        if (key) Properties[key] = value ?? '';
+    }
+    return { Name: blockState.slice(0, bracket), Properties };
+}
+
+// ─── Encoders ───
+
+function encodeVarintArray(values) {
+    const bytes = [];
+    for (let i = 0; i < values.length; i++) {
+        let value = values[i];
+        while ((value & ~0x7F) !== 0) {
+            bytes.push((value & 0x7F) | 0x80);
+            value >>>= 7;
+        }
+        bytes.push(value);
+    }
+    return new Int8Array(Uint8Array.from(bytes).buffer);
+}
+
+/**
+ * Pack palette indices into a Litematica long array. Litematica uses the tightly
+ * packed layout where an entry may span two longs. When the padded 1.16+ layout needs as
+ * many longs, parser.js can't tell them apart and reads the padded one, so those sizes are
+ * written padded.
+ */
+function packBlockStates(indices, paletteLength) {
+    const bitsPerEntry = Math.max(2, Math.ceil(Math.log2(paletteLength)));
+    const entriesPerLong = Math.floor(64 / bitsPerEntry);
+    const spanningLength = Math.ceil((indices.length * bitsPerEntry) / 64);
+    const isSpanning = spanningLength !== Math.ceil(indices.length / entriesPerLong);
+    const longs = new BigUint64Array(spanningLength);
+
+    for (let i = 0; i < indices.length; i++) {
+        const value = BigInt(indices[i]);
+        const startBit = isSpanning
+            ? i * bitsPerEntry
+            : Math.floor(i / entriesPerLong) * 64 + (i % entriesPerLong) * bitsPerEntry;
+        const startIndex = Math.floor(startBit / 64);
+        const startBitOffset = startBit % 64;
+
+        longs[startIndex] |= BigInt.asUintN(64, value << BigInt(startBitOffset));
+        if (startBitOffset + bitsPerEntry > 64) {
+            // Remaining high bits go to the low end of the next long
+            longs[startIndex + 1] |= value >> BigInt(64 - startBitOffset);
+        }
+    }
+
+    return new BigInt64Array(longs.buffer);
+}
+
+// ─── Format writers ───
+
+function buildSponge(schematic, version) {
+    const { paletteList, indices } = collectBlocks(schematic);
+    // World position of the min corner, when the source recorded one (Sponge, MCEdit)
+    const origin = schematic.origin ?? { x: 0, y: 0, z: 0 };
+    const Palette = {};
+    paletteList.forEach((blockState, idx) => { Palette[blockState] = new Int32(idx); });
+
+    const base = {
+        Version: new Int32(version),
+        DataVersion: new Int32(schematic.dataVersion ?? DEFAULT_DATA_VERSION),
+        Width: new Int16(schematic.width),
+        Height: new Int16(schematic.height),
+        Length: new Int16(schematic.length),
+        Offset: new Int32Array([origin.x, origin.y, origin.z]),
+        Metadata: { Name: schematic.name },
+    };
+    const blockData = encodeVarintArray(indices);
+
+    if (version >= 3) {
+        // v3 wraps everything in a "Schematic" compound under an unnamed root
+        const data = {
+            Schematic: {
+                ...base,
+                Blocks: { Palette, Data: blockData, BlockEntities: [] },
+            },
+        };
+        return write(data, { rootName: '', endian: 'big', compression: 'gzip' });
+    }
+
+    const data = {
+        ...base,
+        PaletteMax: new Int32(paletteList.length),
+        Palette,
+        BlockData: blockData,
+        BlockEntities: [],
+    };
+    return write(data, { rootName: 'Schematic', endian: 'big', compression: 'gzip' });
+}
+
+function buildLitematic(schematic) {
+    const { width, height, length, name } = schematic;
+    const { paletteList, indices } = collectBlocks(schematic);
+
+    let totalBlocks = 0;
+    for (let i = 0; i < indices.length; i++) {
+        if (indices[i] !== 0) totalBlocks++;
+    }
+
+    const vec = (x, y, z) => ({ x: new Int32(x), y: new Int32(y), z: new Int32(z) });
+    const now = BigInt(Date.now());
+
+    const data = {
+        MinecraftDataVersion: new Int32(schematic.dataVersion ?? DEFAULT_DATA_VERSION),
+        Version: new Int32(6),
+        SubVersion: new Int32(1),
+        Metadata: {
+            Name: name,
+            Author: '',
+            Description: '',
+            RegionCount: new Int32(1),
+            TotalBlocks: new Int32(totalBlocks),
+            TotalVolume: new Int32(width * height * length),
+            TimeCreated: now,
+            TimeModified: now,
+            EnclosingSize: vec(width, height, length),
+        },
+        // All regions are merged on load, so the whole build is written as a single region
+        Regions: {
+            [name]: {
+                // Region positions are relative to the placement, not world coordinates
+                Position: vec(0, 0, 0),
+                Size: vec(width, height, length),
+                BlockStatePalette: paletteList.map(blockStateToEntry),
+                BlockStates: packBlockStates(indices, paletteList.length),
+                TileEntities: [],
+                Entities: [],
+                PendingBlockTicks: [],
+                PendingFluidTicks: [],
+            },
+        },
+    };
+    return write(data, { rootName: '', endian: 'big', compression: 'gzip' });
+}
+
+function buildStructureNbt(schematic) {
+    const { width, height, length } = schematic;
+    const { paletteList, indices } = collectBlocks(schematic);
+
+    // Vanilla lists every position, air included (missing positions would be structure voids)
+    const blocks = new Array(indices.length);
+    let i = 0;
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < length; z++) {
+            for (let x = 0; x < width; x++, i++) {
+                blocks[i] = {
+                    pos: [new Int32(x), new Int32(y), new Int32(z)],
+                    state: new Int32(indices[i]),
+                };
+            }
+        }
+    }
+
+    const data = {
+        DataVersion: new Int32(schematic.dataVersion ?? DEFAULT_DATA_VERSION),
+        size: [new Int32(width), new Int32(height), new Int32(length)],
+        palette: paletteList.map(blockStateToEntry),
+        blocks,
+        entities: [],
+    };
+    return write(data, { rootName: '', endian: 'big', compression: 'gzip' });
+}
+
+/**
+ * Serialize a schematic into one of EXPORT_FORMATS.
+ * Resolves to the gzip-compressed NBT bytes.
+ */
+export async function exportSchematic(schematic, formatId) {
+    switch (formatId) {
+        case 'schem-v3': return buildSponge(schematic, 3);
+        case 'schem-v2': return buildSponge(schematic, 2);
+        case 'litematic': return buildLitematic(schematic);
+        case 'nbt': return buildStructureNbt(schematic);
+        default: throw new Error(`Unknown export format "${formatId}"`);
+    }
+}
@@ -0,0 +1,8 @@
+/**
+ * html.js — Helpers for building markup from untrusted text (names read from files)
+ */
+
+/** Escape text for use in HTML content and double-quoted attributes */
+export function escapeHtml(str) {
+    return String(str).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+}
@@ -0,0 +1,41 @@
+/**
+ * idbStore.js — Minimal IndexedDB access for a database holding a single object store
+ */
+
+/**
+ * Access a database's object store, creating both on first use. The database is opened lazily,
+ * on the first request.
+ * @param {string} dbName
+ * @param {string} storeName
+ * @param {IDBObjectStoreParameters} [storeOptions] - e.g. { keyPath: 'hash' }; out-of-line keys without
+ * @returns {function(IDBTransactionMode, function(IDBObjectStore): IDBRequest): Promise<*>}
+ *          withStore(mode, fn): runs the request fn makes in its own transaction and resolves with its result
+ */
+export function openStore(dbName, storeName, storeOptions) {
+    let dbPromise = null;
+
+    function openDB() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(storeName)) db.createObjectStore(storeName, storeOptions);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        return dbPromise;
+    }
+
+    return async function withStore(mode, fn) {
+        const db = await openDB();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeName, mode);
+            const request = fn(tx.objectStore(storeName));
+            tx.oncomplete = () => resolve(request.result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    };
+}
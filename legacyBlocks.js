@@ -0,0 +1,353 @@
+/**
+ * legacyBlocks.js — Pre-1.13 numeric block IDs (id:meta) → modern namespaced block states
+ * Used by the MCEdit .schematic parser. Covers the vanilla 1.12 block set (ids 0–255).
+ */
+
+const COLORS = [
+    'white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+    'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black',
+];
+
+const WOODS = ['oak', 'spruce', 'birch', 'jungle', 'acacia', 'dark_oak'];
+
+// Legacy facing encodings, indexed by (part of) the meta value
+const FACING_6 = ['down', 'up', 'north', 'south', 'west', 'east'];      // dispensers, pistons, end rods…
+const FACING_WALL = [null, null, 'north', 'south', 'west', 'east'];     // chests, ladders, wall signs, furnaces
+const FACING_HORIZONTAL = ['south', 'west', 'north', 'east'];           // beds, pumpkins, fence gates, repeaters
+const FACING_STAIRS = ['east', 'west', 'south', 'north'];
+const FACING_DOOR = ['east', 'south', 'west', 'north'];
+const FACING_TRAPDOOR = ['north', 'south', 'west', 'east'];
+const FACING_TORCH = [null, 'east', 'west', 'south', 'north'];          // 5 = standing torch
+const FACING_BUTTON = ['down', 'east', 'west', 'south', 'north', 'up'];
+const RAIL_SHAPES = [
+    'north_south', 'east_west', 'ascending_east', 'ascending_west', 'ascending_north', 'ascending_south',
+    'south_east', 'south_west', 'north_west', 'north_east',
+];
+const AXES = ['y', 'x', 'z'];
+
+const STONE_SLABS = ['smooth_stone', 'sandstone', 'petrified_oak', 'cobblestone', 'brick', 'stone_brick', 'nether_brick', 'quartz'];
+
+/** Build a block state string with properties sorted by key (same format as the parsers) */
+function state(name, props) {
+    const entries = props ? Object.entries(props).filter(([, v]) => v !== undefined && v !== null) : [];
+    if (entries.length === 0) return `minecraft:${name}`;
+    const propStr = entries
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([k, v]) => `${k}=${v}`)
+        .join(',');
+    return `minecraft:${name}[${propStr}]`;
+}
+
+const pick = (list, meta) => list[meta] ?? list[0];
+const stairs = name => meta => state(name, {
+    facing: FACING_STAIRS[meta & 3], half: meta & 4 ? 'top' : 'bottom', shape: 'straight',
+});
+const slab = name => meta => state(name, { type: meta & 8 ? 'top' : 'bottom' });
+// Doors split their state: the lower half holds facing/open, the upper half hinge/powered
+const door = name => (meta, paired = 0) => {
+    const lower = meta & 8 ? paired : meta;
+    const upper = meta & 8 ? meta : paired;
+    return state(name, {
+        facing: FACING_DOOR[lower & 3], half: meta & 8 ? 'upper' : 'lower',
+        hinge: upper & 1 ? 'right' : 'left', open: !!(lower & 4), powered: !!(upper & 2),
+    });
+};
+const trapdoor = name => meta => state(name, {
+    facing: FACING_TRAPDOOR[meta & 3], half: meta & 8 ? 'top' : 'bottom', open: !!(meta & 4),
+});
+const fenceGate = name => meta => state(name, { facing: FACING_HORIZONTAL[meta & 3], open: !!(meta & 4) });
+const facing6 = name => meta => state(name, { facing: pick(FACING_6, meta & 7) });
+const wallFacing = name => meta => state(name, { facing: FACING_WALL[meta] ?? 'north' });
+const torch = (standing, wall) => meta => FACING_TORCH[meta] ? state(wall, { facing: FACING_TORCH[meta] }) : state(standing);
+const button = name => meta => {
+    const f = pick(FACING_BUTTON, meta & 7);
+    if (f === 'up' || f === 'down') return state(name, { face: f === 'up' ? 'floor' : 'ceiling', facing: 'north' });
+    return state(name, { face: 'wall', facing: f });
+};
+const colored = suffix => meta => state(`${COLORS[meta & 15]}_${suffix}`);
+const rail = (name, limit) => meta => state(name, {
+    shape: pick(RAIL_SHAPES.slice(0, limit), meta & (limit > 6 ? 15 : 7)),
+    powered: limit > 6 ? undefined : !!(meta & 8),
+});
+const aged = name => meta => state(name, { age: meta });
+const pistonLike = name => meta => state(name, { extended: !!(meta & 8), facing: pick(FACING_6, meta & 7) });
+const axisPillar = name => meta => state(name, { axis: AXES[(meta >> 2) & 3] ?? 'y' });
+const log = woods => meta => {
+    const wood = woods[meta & 3] ?? woods[0];
+    const axis = (meta >> 2) & 3;
+    // Axis bits 3 = bark on all six sides
+    return axis === 3 ? state(`${wood}_wood`, { axis: 'y' }) : state(`${wood}_log`, { axis: AXES[axis] });
+};
+const leaves = woods => meta => state(`${woods[meta & 3] ?? woods[0]}_leaves`, {
+    distance: 7, persistent: !!(meta & 4),
+});
+const list = names => meta => state(pick(names, meta));
+
+/** id → block state string, or (meta) → block state string */
+const LEGACY_BLOCKS = {
+    0: state('air'),
+    1: list(['stone', 'granite', 'polished_granite', 'diorite', 'polished_diorite', 'andesite', 'polished_andesite']),
+    2: state('grass_block', { snowy: false }),
+    3: list(['dirt', 'coarse_dirt', 'podzol']),
+    4: state('cobblestone'),
+    5: meta => state(`${pick(WOODS, meta)}_planks`),
+    6: meta => state(`${pick(WOODS, meta & 7)}_sapling`, { stage: meta & 8 ? 1 : 0 }),
+    7: state('bedrock'),
+    8: meta => state('water', { level: meta }),
+    9: meta => state('water', { level: meta }),
+    10: meta => state('lava', { level: meta }),
+    11: meta => state('lava', { level: meta }),
+    12: list(['sand', 'red_sand']),
+    13: state('gravel'),
+    14: state('gold_ore'),
+    15: state('iron_ore'),
+    16: state('coal_ore'),
+    17: log(['oak', 'spruce', 'birch', 'jungle']),
+    18: leaves(['oak', 'spruce', 'birch', 'jungle']),
+    19: list(['sponge', 'wet_sponge']),
+    20: state('glass'),
+    21: state('lapis_ore'),
+    22: state('lapis_block'),
+    23: meta => state('dispenser', { facing: pick(FACING_6, meta & 7), triggered: !!(meta & 8) }),
+    24: list(['sandstone', 'chiseled_sandstone', 'cut_sandstone']),
+    25: state('note_block'),
+    26: meta => state('red_bed', { facing: FACING_HORIZONTAL[meta & 3], occupied: false, part: meta & 8 ? 'head' : 'foot' }),
+    27: rail('powered_rail', 6),
+    28: rail('detector_rail', 6),
+    29: pistonLike('sticky_piston'),
+    30: state('cobweb'),
+    31: list(['dead_bush', 'short_grass', 'fern']),
+    32: state('dead_bush'),
+    33: pistonLike('piston'),
+    34: meta => state('piston_head', { facing: pick(FACING_6, meta & 7), short: false, type: meta & 8 ? 'sticky' : 'normal' }),
+    35: colored('wool'),
+    36: state('moving_piston'),
+    37: state('dandelion'),
+    38: list(['poppy', 'blue_orchid', 'allium', 'azure_bluet', 'red_tulip', 'orange_tulip', 'white_tulip', 'pink_tulip', 'oxeye_daisy']),
+    39: state('brown_mushroom'),
+    40: state('red_mushroom'),
+    41: state('gold_block'),
+    42: state('iron_block'),
+    43: meta => {
+        if (meta === 8) return state('smooth_stone');
+        if (meta === 9) return state('smooth_sandstone');
+        if (meta === 15) return state('smooth_quartz');
+        return state(`${pick(STONE_SLABS, meta & 7)}_slab`, { type: 'double' });
+    },
+    44: meta => state(`${pick(STONE_SLABS, meta & 7)}_slab`, { type: meta & 8 ? 'top' : 'bottom' }),
+    45: state('bricks'),
+    46: state('tnt'),
+    47: state('bookshelf'),
+    48: state('mossy_cobblestone'),
+    49: state('obsidian'),
+    50: torch('torch', 'wall_torch'),
+    51: meta => state('fire', { age: meta }),
+    52: state('spawner'),
+    53: stairs('oak_stairs'),
+    54: wallFacing('chest'),
+    55: meta => state('redstone_wire', { power: meta }),
+    56: state('diamond_ore'),
+    57: state('diamond_block'),
+    58: state('crafting_table'),
+    59: aged('wheat'),
+    60: meta => state('farmland', { moisture: meta & 7 }),
+    61: meta => state('furnace', { facing: FACING_WALL[meta] ?? 'north', lit: false }),
+    62: meta => state('furnace', { facing: FACING_WALL[meta] ?? 'north', lit: true }),
+    63: meta => state('oak_sign', { rotation: meta }),
+    64: door('oak_door'),
+    65: wallFacing('ladder'),
+    66: rail('rail', 10),
+    67: stairs('cobblestone_stairs'),
+    68: wallFacing('oak_wall_sign'),
+    69: meta => {
+        const powered = !!(meta & 8);
+        switch (meta & 7) {
+            case 0: return state('lever', { face: 'ceiling', facing: 'west', powered });
+            case 5: return state('lever', { face: 'floor', facing: 'north', powered });
+            case 6: return state('lever', { face: 'floor', facing: 'west', powered });
+            case 7: return state('lever', { face: 'ceiling', facing: 'north', powered });
+            default: return state('lever', { face: 'wall', facing: FACING_TORCH[meta & 7], powered });
+        }
+    },
+    70: meta => state('stone_pressure_plate', { powered: meta > 0 }),
+    71: door('iron_door'),
+    72: meta => state('oak_pressure_plate', { powered: meta > 0 }),
+    73: state('redstone_ore', { lit: false }),
+    74: state('redstone_ore', { lit: true }),
+    75: meta => FACING_TORCH[meta]
+        ? state('redstone_wall_torch', { facing: FACING_TORCH[meta], lit: false })
+        : state('redstone_torch', { lit: false }),
+    76: torch('redstone_torch', 'redstone_wall_torch'),
+    77: button('stone_button'),
+    78: meta => state('snow', { layers: (meta & 7) + 1 }),
+    79: state('ice'),
+    80: state('snow_block'),
+    81: aged('cactus'),
+    82: state('clay'),
+    83: aged('sugar_cane'),
+    84: state('jukebox'),
+    85: state('oak_fence'),
+    86: meta => state('carved_pumpkin', { facing: FACING_HORIZONTAL[meta & 3] }),
+    87: state('netherrack'),
+    88: state('soul_sand'),
+    89: state('glowstone'),
+    90: meta => state('nether_portal', { axis: meta === 2 ? 'z' : 'x' }),
+    91: meta => state('jack_o_lantern', { facing: FACING_HORIZONTAL[meta & 3] }),
+    92: meta => state('cake', { bites: meta }),
+    93: meta => state('repeater', { delay: (meta >> 2) + 1, facing: FACING_HORIZONTAL[meta & 3], powered: false }),
+    94: meta => state('repeater', { delay: (meta >> 2) + 1, facing: FACING_HORIZONTAL[meta & 3], powered: true }),
+    95: colored('stained_glass'),
+    96: trapdoor('oak_trapdoor'),
+    97: list(['infested_stone', 'infested_cobblestone', 'infested_stone_bricks', 'infested_mossy_stone_bricks', 'infested_cracked_stone_bricks', 'infested_chiseled_stone_bricks']),
+    98: list(['stone_bricks', 'mossy_stone_bricks', 'cracked_stone_bricks', 'chiseled_stone_bricks']),
+    99: meta => state(meta === 10 || meta === 15 ? 'mushroom_stem' : 'brown_mushroom_block'),
+    100: meta => state(meta === 10 || meta === 15 ? 'mushroom_stem' : 'red_mushroom_block'),
+    101: state('iron_bars'),
+    102: state('glass_pane'),
+    103: state('melon'),
+    104: aged('pumpkin_stem'),
+    105: aged('melon_stem'),
+    106: state('vine'),
+    107: fenceGate('oak_fence_gate'),
+    108: stairs('brick_stairs'),
+    109: stairs('stone_brick_stairs'),
+    110: state('mycelium', { snowy: false }),
+    111: state('lily_pad'),
+    112: state('nether_bricks'),
+    113: state('nether_brick_fence'),
+    114: stairs('nether_brick_stairs'),
+    115: aged('nether_wart'),
+    116: state('enchanting_table'),
+    117: state('brewing_stand'),
+    118: state('cauldron'),
+    119: state('end_portal'),
+    120: meta => state('end_portal_frame', { eye: !!(meta & 4), facing: FACING_HORIZONTAL[meta & 3] }),
+    121: state('end_stone'),
+    122: state('dragon_egg'),
+    123: state('redstone_lamp', { lit: false }),
+    124: state('redstone_lamp', { lit: true }),
+    125: meta => state(`${pick(WOODS, meta & 7)}_slab`, { type: 'double' }),
+    126: meta => state(`${pick(WOODS, meta & 7)}_slab`, { type: meta & 8 ? 'top' : 'bottom' }),
+    127: meta => state('cocoa', { age: meta >> 2, facing: FACING_HORIZONTAL[meta & 3] }),
+    128: stairs('sandstone_stairs'),
+    129: state('emerald_ore'),
+    130: wallFacing('ender_chest'),
+    131: meta => state('tripwire_hook', { attached: !!(meta & 4), facing: FACING_HORIZONTAL[meta & 3], powered: !!(meta & 8) }),
+    132: state('tripwire'),
+    133: state('emerald_block'),
+    134: stairs('spruce_stairs'),
+    135: stairs('birch_stairs'),
+    136: stairs('jungle_stairs'),
+    137: facing6('command_block'),
+    138: state('beacon'),
+    139: list(['cobblestone_wall', 'mossy_cobblestone_wall']),
+    140: state('flower_pot'),
+    141: aged('carrots'),
+    142: aged('potatoes'),
+    143: button('oak_button'),
+    144: meta => (meta & 7) <= 1 ? state('skeleton_skull') : state('skeleton_wall_skull', { facing: FACING_WALL[meta & 7] }),
+    145: meta => state(pick(['anvil', 'chipped_anvil', 'damaged_anvil'], meta >> 2), { facing: FACING_HORIZONTAL[meta & 3] }),
+    146: wallFacing('trapped_chest'),
+    147: meta => state('light_weighted_pressure_plate', { power: meta }),
+    148: meta => state('heavy_weighted_pressure_plate', { power: meta }),
+    149: meta => state('comparator', { facing: FACING_HORIZONTAL[meta & 3], mode: meta & 4 ? 'subtract' : 'compare', powered: false }),
+    150: meta => state('comparator', { facing: FACING_HORIZONTAL[meta & 3], mode: meta & 4 ? 'subtract' : 'compare', powered: true }),
+    151: meta => state('daylight_detector', { inverted: false, power: meta }),
+    152: state('redstone_block'),
+    153: state('nether_quartz_ore'),
+    154: meta => state('hopper', { enabled: !(meta & 8), facing: (meta & 7) === 1 ? 'down' : pick(FACING_6, meta & 7) }),
+    155: meta => {
+        if (meta === 1) return state('chiseled_quartz_block');
+        if (meta >= 2 && meta <= 4) return state('quartz_pillar', { axis: AXES[meta - 2] });
+        return state('quartz_block');
+    },
+    156: stairs('quartz_stairs'),
+    157: rail('activator_rail', 6),
+    158: meta => state('dropper', { facing: pick(FACING_6, meta & 7), triggered: !!(meta & 8) }),
+    159: colored('terracotta'),
+    160: colored('stained_glass_pane'),
+    161: leaves(['acacia', 'dark_oak']),
+    162: log(['acacia', 'dark_oak']),
+    163: stairs('acacia_stairs'),
+    164: stairs('dark_oak_stairs'),
+    165: state('slime_block'),
+    166: state('barrier'),
+    167: trapdoor('iron_trapdoor'),
+    168: list(['prismarine', 'prismarine_bricks', 'dark_prismarine']),
+    169: state('sea_lantern'),
+    170: axisPillar('hay_block'),
+    171: colored('carpet'),
+    172: state('terracotta'),
+    173: state('coal_block'),
+    174: state('packed_ice'),
+    // The upper half only stores the "upper" flag; the variant lives in the lower half
+    175: (meta, paired = 0) => state(pick(['sunflower', 'lilac', 'tall_grass', 'large_fern', 'rose_bush', 'peony'], (meta & 8 ? paired : meta) & 7), {
+        half: meta & 8 ? 'upper' : 'lower',
+    }),
+    176: meta => state('white_banner', { rotation: meta }),
+    177: wallFacing('white_wall_banner'),
+    178: meta => state('daylight_detector', { inverted: true, power: meta }),
+    179: list(['red_sandstone', 'chiseled_red_sandstone', 'cut_red_sandstone']),
+    180: stairs('red_sandstone_stairs'),
+    181: meta => meta & 8 ? state('smooth_red_sandstone') : state('red_sandstone_slab', { type: 'double' }),
+    182: slab('red_sandstone_slab'),
+    183: fenceGate('spruce_fence_gate'),
+    184: fenceGate('birch_fence_gate'),
+    185: fenceGate('jungle_fence_gate'),
+    186: fenceGate('dark_oak_fence_gate'),
+    187: fenceGate('acacia_fence_gate'),
+    188: state('spruce_fence'),
+    189: state('birch_fence'),
+    190: state('jungle_fence'),
+    191: state('dark_oak_fence'),
+    192: state('acacia_fence'),
+    193: door('spruce_door'),
+    194: door('birch_door'),
+    195: door('jungle_door'),
+    196: door('acacia_door'),
+    197: door('dark_oak_door'),
+    198: facing6('end_rod'),
+    199: state('chorus_plant'),
+    200: aged('chorus_flower'),
+    201: state('purpur_block'),
+    202: axisPillar('purpur_pillar'),
+    203: stairs('purpur_stairs'),
+    204: state('purpur_slab', { type: 'double' }),
+    205: slab('purpur_slab'),
+    206: state('end_stone_bricks'),
+    207: aged('beetroots'),
+    208: state('dirt_path'),
+    209: state('end_gateway'),
+    210: facing6('repeating_command_block'),
+    211: facing6('chain_command_block'),
+    212: aged('frosted_ice'),
+    213: state('magma_block'),
+    214: state('nether_wart_block'),
+    215: state('red_nether_bricks'),
+    216: axisPillar('bone_block'),
+    217: state('structure_void'),
+    218: meta => state('observer', { facing: pick(FACING_6, meta & 7), powered: !!(meta & 8) }),
+    251: colored('concrete'),
+    252: colored('concrete_powder'),
+    255: state('structure_block'),
+};
+
+// 219–234: shulker boxes, 235–250: glazed terracotta (one id per color, meta = facing)
+COLORS.forEach((color, i) => {
+    LEGACY_BLOCKS[219 + i] = facing6(`${color}_shulker_box`);
+    LEGACY_BLOCKS[235 + i] = meta => state(`${color}_glazed_terracotta`, { facing: FACING_HORIZONTAL[meta & 3] });
+});
+
+/** Two-block-tall ids whose state is split across both halves (meta & 8 = upper half) */
+export const LEGACY_TWO_TALL_IDS = new Set([64, 71, 175, 193, 194, 195, 196, 197]);
+
+/**
+ * Translate a legacy numeric id:meta pair to a modern block state string.
+ * For LEGACY_TWO_TALL_IDS, pass the meta of the other half as `pairedMeta` when known.
+ * Unknown ids (mods, removed blocks) map to "minecraft:unknown_legacy_<id>" so they stay visible.
+ */
+export function legacyToState(id, meta, pairedMeta) {
+    const entry = LEGACY_BLOCKS[id];
+    if (entry === undefined) return `minecraft:unknown_legacy_${id}`;
+    return typeof entry === 'function' ? entry(meta, pairedMeta) : entry;
+}
@@ -0,0 +1,338 @@
+/**
+ * materials.js — Block state → item mapping, material counting, stack formatting and materials list export
+ * (CSV, JSON and a printable shopping list)
+ */
+import { isAir, getBaseBlockId, getBlockDisplayName, getBlockProperties } from './blockColors.js';
+import { escapeHtml } from './html.js';
+
+const STACK_SIZE = 64;
+const SHULKER_SLOTS = 27;
+const DOUBLE_CHEST_SLOTS = 54;
+
+// ─── Stack sizes ───
+
+/** Items that stack to 16 (matched against the item ID) */
+const STACK_16 = [
+    /_sign$/, /_banner$/,
+    /^egg$/, /^snowball$/, /^ender_pearl$/, /^bucket$/, /^honey_bottle$/, /^armor_stand$/,
+];
+
+/** Items that don't stack at all */
+const STACK_1 = [
+    /_bed$/, /shulker_box$/, /._bucket$/,
+    /^cake$/, /minecart$/, /_boat$/, /_raft$/, /^saddle$/, /^potion$/,
+];
+
+/** Maximum stack size of an item, e.g. stone → 64, oak_sign → 16, red_bed → 1 */
+export function getStackSize(itemId) {
+    if (STACK_1.some(re => re.test(itemId))) return 1;
+    if (STACK_16.some(re => re.test(itemId))) return 16;
+    return STACK_SIZE;
+}
+
+// ─── Block state → items ───
+
+/** Blocks placed from an item with a different ID */
+const BLOCK_ITEMS = {
+    wall_torch: 'torch',
+    redstone_wire: 'redstone',
+    tripwire: 'string',
+    cocoa: 'cocoa_beans',
+    carrots: 'carrot',
+    potatoes: 'potato',
+    beetroots: 'beetroot_seeds',
+    wheat: 'wheat_seeds',
+    melon_stem: 'melon_seeds',
+    attached_melon_stem: 'melon_seeds',
+    pumpkin_stem: 'pumpkin_seeds',
+    attached_pumpkin_stem: 'pumpkin_seeds',
+    torchflower_crop: 'torchflower_seeds',
+    pitcher_crop: 'pitcher_pod',
+    sweet_berry_bush: 'sweet_berries',
+    cave_vines: 'glow_berries',
+    cave_vines_plant: 'glow_berries',
+    kelp_plant: 'kelp',
+    weeping_vines_plant: 'weeping_vines',
+    twisting_vines_plant: 'twisting_vines',
+    big_dripleaf_stem: 'big_dripleaf',
+    bamboo_sapling: 'bamboo',
+    tall_seagrass: 'seagrass',
+    water_cauldron: 'cauldron',
+    lava_cauldron: 'cauldron',
+    powder_snow_cauldron: 'cauldron',
+    powder_snow: 'powder_snow_bucket',
+    farmland: 'dirt',
+    dirt_path: 'dirt',
+};
+
+/** Blocks that can't be placed from an item, or appear as a side effect of another block */
+const NO_ITEM = new Set([
+    'piston_head', 'moving_piston', 'fire', 'soul_fire', 'bubble_column',
+    'nether_portal', 'end_portal', 'end_gateway', 'frosted_ice',
+]);
+
+/** Plants whose potted block name differs from the item */
+const POTTED_ITEMS = {
+    azalea_bush: 'azalea',
+    flowering_azalea_bush: 'flowering_azalea',
+};
+
+/** Properties holding how many items one block is made of (e.g. candles=3) */
+const COUNT_PROPERTIES = ['candles', 'pickles', 'eggs', 'flower_amount', 'segment_amount'];
+
+/** e.g. oak_wall_sign → oak_sign, soul_wall_torch → soul_torch, tube_coral_wall_fan → tube_coral_fan */
+const WALL_VARIANT = /^(.+)_wall_(torch|sign|hanging_sign|banner|head|skull|fan)$/;
+
+function resolveItems(blockState) {
+    if (isAir(blockState)) return [];
+    const blockId = getBaseBlockId(blockState);
+    const props = getBlockProperties(blockState);
+
+    // The other half of doors, tall plants and beds comes with the item
+    if (props.half === 'upper' || props.part === 'head') return [];
+    if (NO_ITEM.has(blockId)) return [];
+
+    // Only source blocks cost a bucket; flowing fluid spreads from them
+    if (blockId === 'water' || blockId === 'lava') {
+        return props.level && props.level !== '0' ? [] : [{ itemId: `${blockId}_bucket`, count: 1 }];
+    }
+    if (blockId.startsWith('potted_')) {
+        const plant = blockId.slice('potted_'.length);
+        return [{ itemId: 'flower_pot', count: 1 }, { itemId: POTTED_ITEMS[plant] ?? plant, count: 1 }];
+    }
+    if (blockId.endsWith('candle_cake')) {
+        return [{ itemId: 'cake', count: 1 }, { itemId: blockId.slice(0, -'_cake'.length), count: 1 }];
+    }
+
+    const itemId = BLOCK_ITEMS[blockId] ?? blockId.replace(WALL_VARIANT, '$1_$2');
+    let count = 1;
+    if (blockId.endsWith('_slab') && props.type === 'double') {
+        count = 2;
+    } else if (blockId === 'snow' && props.layers) {
+        count = Number(props.layers);
+    } else {
+        const key = COUNT_PROPERTIES.find(k => props[k]);
+        if (key) count = Number(props[key]);
+    }
+    return [{ itemId, count }];
+}
+
+const itemCache = new Map();
+
+/**
+ * Items needed to place one block state, e.g.
+ * "minecraft:stone_slab[type=double]" → [{ itemId: 'stone_slab', count: 2 }],
+ * "minecraft:oak_door[half=upper]" → [] (counted with the lower half).
+ * @returns {Array<{ itemId: string, count: number }>}
+ */
+export function blockStateToItems(blockState) {
+    let items = itemCache.get(blockState);
+    if (!items) {
+        items = resolveItems(blockState);
+        itemCache.set(blockState, items);
+    }
+    return items;
+}
+
+/** Add the items for one block state (or `times` blocks of it) to an itemId → count map */
+export function addBlockItems(counts, blockState, times = 1) {
+    for (const { itemId, count } of blockStateToItems(blockState)) {
+        counts.set(itemId, (counts.get(itemId) || 0) + count * times);
+    }
+}
+
+// ─── Counting ───
+
+/**
+ * Count the items needed for a range of slices (inclusive) along an axis: Y layers by default,
+ * or X / Z slices for elevation views. Blocks are tallied per palette index first, so each
+ * block state is mapped to items once rather than once per block.
+ * @param {'x'|'y'|'z'} [axis='y']
+ * @returns {Map<string, number>} itemId → count
+ */
+export function countMaterials(schematic, from = 0, to = Infinity, axis = 'y') {
+    const { width, height, length } = schematic;
+    const tally = new Float64Array(schematic.paletteList.length);
+    const size = { x: width, y: height, z: length }[axis];
+    const lo = Math.max(0, from);
+    const hi = Math.min(size - 1, to);
+
+    const fromY = axis === 'y' ? lo : 0;
+    const toY = axis === 'y' ? hi : height - 1;
+    for (let y = fromY; y <= toY; y++) {
+        const layer = schematic.getLayer(y);
+        if (axis === 'y') {
+            for (let i = 0; i < layer.length; i++) tally[layer[i]]++;
+        } else if (axis === 'x') {
+            for (let z = 0; z < length; z++) {
+                for (let x = lo; x <= hi; x++) tally[layer[x + z * width]]++;
+            }
+        } else {
+            for (let z = lo; z <= hi; z++) {
+                for (let x = 0; x < width; x++) tally[layer[x + z * width]]++;
+            }
+        }
+    }
+    return countPaletteItems(schematic.paletteList, tally);
+}
+
+/**
+ * Turn per-palette-index block tallies into item counts.
+ * @param {string[]} paletteList
+ * @param {ArrayLike<number>} tally - Number of blocks per palette index
+ * @returns {Map<string, number>} itemId → count
+ */
+export function countPaletteItems(paletteList, tally) {
+    const counts = new Map();
+    paletteList.forEach((blockState, idx) => {
+        if (tally[idx] > 0) addBlockItems(counts, blockState, tally[idx]);
+    });
+    return counts;
+}
+
+/** Map<itemId, count> → [{ itemId, name, count }] sorted by count desc, zero counts dropped */
+export function toMaterialRows(counts) {
+    const rows = [];
+    for (const [itemId, count] of counts) {
+        if (count <= 0) continue;
+        rows.push({ itemId, name: getBlockDisplayName('minecraft:' + itemId), count });
+    }
+    return rows.sort((a, b) => b.count - a.count);
+}
+
+// ─── Formatting ───
+
+/** Breakdown units for the materials panel: id → { label, short, noun?, slots? } (slots per container) */
+export const BREAKDOWN_UNITS = {
+    shulker: { label: 'Shulker boxes', short: 'SB', noun: 'shulker box', slots: SHULKER_SLOTS },
+    chest: { label: 'Double chests', short: 'DC', noun: 'double chest', slots: DOUBLE_CHEST_SLOTS },
+    stack: { label: 'Stacks' },
+    item: { label: 'Items' },
+};
+
+/** e.g. 3020 → "47×64 + 12", or with a 16-stack item 50 → "3×16 + 2" */
+export function formatStacks(count, stackSize = STACK_SIZE) {
+    if (stackSize === 1) return `${count}`;
+    const stacks = Math.floor(count / stackSize);
+    const remainder = count % stackSize;
+    if (stacks === 0) return `${count}`;
+    if (remainder === 0) return `${stacks}×${stackSize}`;
+    return `${stacks}×${stackSize} + ${remainder}`;
+}
+
+/** Container-aware breakdown, e.g. 4000 in shulkers → "2 SB + 8×64 + 32" */
+function formatContainers(count, stackSize, unit) {
+    const perContainer = unit.slots * stackSize;
+    const containers = Math.floor(count / perContainer);
+    const rest = count % perContainer;
+    if (containers === 0) return formatStacks(count, stackSize);
+    if (rest === 0) return `${containers} ${unit.short}`;
+    return `${containers} ${unit.short} + ${formatStacks(rest, stackSize)}`;
+}
+
+/** Format an item count in one of BREAKDOWN_UNITS, using the item's own stack size */
+export function formatAmount(count, itemId, unitId = 'stack') {
+    const stackSize = getStackSize(itemId);
+    switch (unitId) {
+        case 'shulker':
+        case 'chest':
+            return formatContainers(count, stackSize, BREAKDOWN_UNITS[unitId]);
+        case 'item':
+            return `${count.toLocaleString()}`;
+        default:
+            return formatStacks(count, stackSize);
+    }
+}
+
+// ─── Export ───
+
+function csvCell(value) {
+    let str = String(value);
+    // Text a spreadsheet would run as a formula (names come from the file) is kept as text
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n]/.test(str) || str.startsWith("'") ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/** Spreadsheet-friendly CSV: one row per block type, numeric columns kept separate */
+export function materialsToCSV(rows) {
+    const header = ['item_id', 'name', 'count', 'stack_size', 'stacks', 'remainder', 'shulker_boxes', 'double_chests'];
+    const lines = [header.join(',')];
+    for (const r of rows) {
+        const stackSize = getStackSize(r.itemId);
+        lines.push([
+            `minecraft:${r.itemId}`,
+            r.name,
+            r.count,
+            stackSize,
+            Math.floor(r.count / stackSize),
+            r.count % stackSize,
+            (r.count / (SHULKER_SLOTS * stackSize)).toFixed(2),
+            (r.count / (DOUBLE_CHEST_SLOTS * stackSize)).toFixed(2),
+        ].map(csvCell).join(','));
+    }
+    return lines.join('\n') + '\n';
+}
+
+export function materialsToJSON(rows, meta) {
+    return JSON.stringify({
+        schematic: meta.name,
+        scope: meta.scope,
+        generatedAt: new Date().toISOString(),
+        totalBlocks: rows.reduce((sum, r) => sum + r.count, 0),
+        materials: rows.map(r => {
+            const stackSize = getStackSize(r.itemId);
+            return {
+                id: `minecraft:${r.itemId}`,
+                name: r.name,
+                count: r.count,
+                stackSize,
+                stacks: Math.floor(r.count / stackSize),
+                remainder: r.count % stackSize,
+            };
+        }),
+    }, null, 2);
+}
+
+/**
+ * Standalone, print-ready HTML page with a checkbox per material.
+ * Amounts use meta.unit (a BREAKDOWN_UNITS id, shulker boxes by default).
+ */
+export function materialsToPrintableHTML(rows, meta) {
+    const unitId = meta.unit === 'item' || !BREAKDOWN_UNITS[meta.unit] ? 'shulker' : meta.unit;
+    const unit = BREAKDOWN_UNITS[unitId];
+    const legend = unit.slots ? ` · ${unit.short} = ${unit.noun} (${unit.slots} stacks)` : '';
+    const total = rows.reduce((sum, r) => sum + r.count, 0);
+    const body = rows.map(r => `
+        <tr>
+          <td class="check">☐</td>
+          <td>${escapeHtml(r.name)}</td>
+          <td class="num">${r.count.toLocaleString()}</td>
+          <td class="num">${formatAmount(r.count, r.itemId, unitId)}</td>
+        </tr>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escapeHtml(meta.name)} — Shopping List</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Inter', sans-serif; color: #111; margin: 24px; }
+    h1 { font-size: 18px; margin: 0 0 4px; }
+    p { font-size: 12px; color: #555; margin: 0 0 16px; }
+    table { border-collapse: collapse; width: 100%; font-size: 12px; }
+    th, td { border-bottom: 1px solid #ddd; padding: 5px 8px; text-align: left; }
+    th { font-size: 10px; text-transform: uppercase; letter-spacing: 0.06em; color: #555; }
+    .num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+    .check { width: 16px; font-size: 14px; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(meta.name)} — Shopping List</h1>
+<p>${escapeHtml(meta.scope)} · ${rows.length} types · ${total.toLocaleString()} items${legend}</p>
+<table>
+  <thead><tr><th></th><th>Block</th><th class="num">Count</th><th class="num">${escapeHtml(unit.label)}</th></tr></thead>
+  <tbody>${body}</tbody>
+</table>
+</body>
+</html>`;
+}
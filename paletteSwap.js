@@ -0,0 +1,129 @@
+/**
+ * paletteSwap.js — Swap block types in a loaded schematic's palette
+ * Rules rewrite the base block ID of palette entries while keeping their state properties, so
+ * "dark_oak_stairs[facing=east]" becomes "spruce_stairs[facing=east]". Block positions don't
+ * change: only paletteList is rewritten, so every view and export picks the swap up.
+ */
+import { schematicFromData } from './parser.js';
+import { isAir } from './blockColors.js';
+
+/**
+ * @typedef {Object} SwapRule
+ * @property {string} from - Base ID to replace, `*` matching any text, e.g. "dark_oak_*" or "*_planks"
+ * @property {string} to   - Replacement; each `*` takes the text matched by the same `*` in `from`,
+ *                           e.g. "spruce_*". Without `*`, every match becomes this one block.
+ */
+
+const RULE_PATTERN = /^[a-z0-9_*]+$/;
+
+/** "minecraft:Oak_Planks " → "oak_planks" */
+function normalizeId(id) {
+    return id.trim().toLowerCase().replace(/^minecraft:/, '');
+}
+
+/**
+ * Validate and normalize a rule typed by the user.
+ * Throws with a user-facing message when the rule can't be used.
+ * @returns {SwapRule}
+ */
+export function createSwapRule(from, to) {
+    from = normalizeId(from);
+    to = normalizeId(to);
+    if (!from || !to) throw new Error('Enter the block to replace and its replacement.');
+    if (!RULE_PATTERN.test(from) || !RULE_PATTERN.test(to)) {
+        throw new Error('Block IDs may only contain a–z, 0–9, _ and the * wildcard.');
+    }
+    if (from.replace(/\*/g, '') === '') throw new Error('"From" needs more than a wildcard.');
+    const wildcards = s => s.split('*').length - 1;
+    if (wildcards(to) > wildcards(from)) {
+        throw new Error(`"${to}" has more * than "${from}": each * in the replacement reuses one from the match.`);
+    }
+    if (isAir(`minecraft:${to}`)) {
+        throw new Error('Blocks can’t be swapped for air: hide regions instead to leave parts out.');
+    }
+    if (from === to) throw new Error('The replacement is the same block.');
+    return { from, to };
+}
+
+/** "dark_oak_*" → /^dark_oak_(.*)$/ */
+function compileRule(rule) {
+    const pattern = rule.from.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('(.*)');
+    return { regex: new RegExp(`^${pattern}$`), to: rule.to };
+}
+
+/**
+ * Apply the first matching rule to one block state, keeping its namespace and properties.
+ * @returns {string} the swapped block state, or the same string when no rule matches
+ */
+function swapBlockState(blockState, compiled) {
+    if (!blockState || isAir(blockState)) return blockState;
+    const bracket = blockState.indexOf('[');
+    const name = bracket === -1 ? blockState : blockState.slice(0, bracket);
+    const properties = bracket === -1 ? '' : blockState.slice(bracket);
+    const colon = name.indexOf(':');
+    const namespace = colon === -1 ? 'minecraft:' : name.slice(0, colon + 1);
+    const baseId = name.slice(colon + 1).toLowerCase();
+
+    for (const { regex, to } of compiled) {
+        const match = regex.exec(baseId);
+        if (!match) continue;
+        let capture = 1;
+        return namespace + to.replace(/\*/g, () => match[capture++]) + properties;
+    }
+    return blockState;
+}
+
+/**
+ * Rewrite a palette with swap rules (first matching rule wins).
+ * @param {string[]} paletteList
+ * @param {SwapRule[]} rules
+ * @returns {string[]} a new palette with the same indices
+ */
+export function swapPalette(paletteList, rules) {
+    const compiled = rules.map(compileRule);
+    return paletteList.map(blockState => swapBlockState(blockState, compiled));
+}
+
+/**
+ * Palette entries each rule changes, for the editor: one [before, after] list per rule.
+ * A rule shadowed by an earlier one for every entry gets an empty list.
+ */
+export function describeSwaps(paletteList, rules) {
+    const compiled = rules.map(compileRule);
+    const changes = rules.map(() => []);
+    const seen = new Set();
+    for (const blockState of paletteList) {
+        if (!blockState || isAir(blockState)) continue;
+        const baseId = blockState.split('[')[0].replace(/^[^:]*:/, '').toLowerCase();
+        if (seen.has(baseId)) continue;
+        seen.add(baseId);
+        const ruleIndex = compiled.findIndex(({ regex }) => regex.test(baseId));
+        if (ruleIndex === -1) continue;
+        const swapped = swapBlockState(`minecraft:${baseId}`, [compiled[ruleIndex]]).slice('minecraft:'.length);
+        changes[ruleIndex].push([baseId, swapped]);
+    }
+    return changes;
+}
+
+/**
+ * The schematic with its palette swapped. Block indices and regions are shared with the
+ * original; without rules the schematic itself is returned.
+ * @param {import('./parser.js').Schematic} schematic - As returned by schematicFromData
+ * @param {SwapRule[]} rules
+ */
+export function applyPaletteSwaps(schematic, rules) {
+    if (rules.length === 0) return schematic;
+
+    const swapped = schematicFromData({
+        width: schematic.width, height: schematic.height, length: schematic.length,
+        name: schematic.name, format: schematic.format, dataVersion: schematic.dataVersion,
+        origin: schematic.origin,
+        paletteList: swapPalette(schematic.paletteList, rules),
+        blockIndices: schematic.blockIndices,
+        totalNonAir: schematic.totalNonAir,
+        regions: schematic.regions,
+        regionMap: schematic.regionMap,
+    });
+    swapped.source = schematic;
+    return swapped;
+}
@@ -0,0 +1,108 @@
+/**
+ * parseWorker.js — Parse pipeline run off the main thread (module Web Worker)
+ * Decodes the NBT, parses the format, flattens it into palette indices, counts materials
+ * and hashes the build for progress, posting progress percentages along the way.
+ *
+ * In:  { buffer: ArrayBuffer, ext: string }  (buffer is transferred)
+ * Out: { type: 'progress', percent, stage }
+ *      { type: 'done', data: SchematicData, materials, hash }  (blockIndices/regionMap transferred)
+ *      { type: 'error', message }
+ */
+import { read } from 'https://cdn.jsdelivr.net/npm/nbtify@2/+esm';
+import { parseSchem, parseLitematic, parseStructureNbt, parseMcEditSchematic, flattenSchematic, schematicFromData } from './parser.js';
+import { isAir, getBaseBlockId } from './blockColors.js';
+import { blockStateToItems, countPaletteItems } from './materials.js';
+import { computeSchematicHash } from './progressStore.js';
+
+// ─── Progress ───
+
+/** Share of the bar each stage takes, as [start, end] percentages */
+const STAGES = {
+    decode: [0, 20, 'Decompressing NBT…'],
+    parse: [20, 45, 'Parsing blocks…'],
+    flatten: [45, 80, 'Indexing blocks…'],
+    materials: [80, 90, 'Counting materials…'],
+    hash: [90, 100, 'Looking up saved progress…'],
+};
+
+let lastPosted = -1;
+
+/** Report progress inside a stage; fraction is 0–1 within that stage */
+function progress(stageId, fraction = 0) {
+    const [start, end, stage] = STAGES[stageId];
+    const percent = Math.floor(start + (end - start) * fraction);
+    if (percent === lastPosted) return;
+    lastPosted = percent;
+    self.postMessage({ type: 'progress', percent, stage });
+}
+
+// ─── Pipeline ───
+
+function parseRoot(root, ext) {
+    if (ext === 'schem') return parseSchem(root);
+    if (ext === 'nbt') return parseStructureNbt(root);
+    if (ext === 'schematic') {
+        // Some tools save Sponge files with the old extension: only legacy files have Materials
+        return root.Materials !== undefined ? parseMcEditSchematic(root) : parseSchem(root);
+    }
+    return parseLitematic(root);
+}
+
+/** Count the build's items and non-air blocks per layer, tallying blocks per palette index */
+function countLoadedMaterials(schematic) {
+    const { height, paletteList } = schematic;
+    const tally = new Float64Array(paletteList.length);
+    const paletteAir = paletteList.map(bs => isAir(bs));
+    const layerTotals = new Int32Array(height);
+
+    for (let y = 0; y < height; y++) {
+        const layer = schematic.getLayer(y);
+        let layerCount = 0;
+        for (let i = 0; i < layer.length; i++) {
+            const idx = layer[i];
+            tally[idx]++;
+            if (!paletteAir[idx]) layerCount++;
+        }
+        layerTotals[y] = layerCount;
+        progress('materials', (y + 1) / height);
+    }
+
+    // The palette is in order of first appearance, so sourceBlocks keeps the first block needing each item
+    const sourceBlocks = new Map();
+    paletteList.forEach((bs, idx) => {
+        if (tally[idx] === 0 || paletteAir[idx]) return;
+        for (const { itemId } of blockStateToItems(bs)) {
+            if (!sourceBlocks.has(itemId)) sourceBlocks.set(itemId, getBaseBlockId(bs));
+        }
+    });
+
+    return { counts: countPaletteItems(paletteList, tally), sourceBlocks, layerTotals };
+}
+
+self.onmessage = async e => {
+    const { buffer, ext } = e.data;
+    try {
+        progress('decode');
+        const nbtData = await read(buffer);
+        const root = nbtData.data ?? nbtData;
+
+        progress('parse');
+        const parsed = parseRoot(root, ext);
+
+        progress('flatten');
+        const data = flattenSchematic(parsed, y => progress('flatten', (y + 1) / parsed.height));
+
+        const schematic = schematicFromData(data);
+        const materials = countLoadedMaterials(schematic);
+
+        progress('hash');
+        const hash = await computeSchematicHash(schematic);
+        progress('hash', 1);
+
+        const transfer = [data.blockIndices.buffer, materials.layerTotals.buffer];
+        if (data.regionMap) transfer.push(data.regionMap.buffer);
+        self.postMessage({ type: 'done', data, materials, hash }, transfer);
+    } catch (err) {
+        self.postMessage({ type: 'error', message: err.message });
+    }
+};
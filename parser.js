@@ -1,7 +1,9 @@
 /**
- * parser.js — Parse Sponge Schematic v2 (.schem) and Litematic (.litematic) NBT data
+ * parser.js — Parse Sponge Schematic v1–v3 (.schem), Litematic (.litematic),
+ *             vanilla structure block (.nbt) and legacy MCEdit (.schematic) NBT data
  * Returns a unified Schematic object.
  */
+import { legacyToState, LEGACY_TWO_TALL_IDS } from './legacyBlocks.js';
 
 /**
  * @typedef {Object} Schematic
@@ -12,6 +14,21 @@
  * @property {string[]} paletteList - Array index → block state string
  * @property {function(number,number,number):string|null} getBlock - Get block at (x,y,z)
  * @property {number} totalNonAir - Count of non-air blocks
+ * @property {string} format  - Human-readable source format, e.g. "Sponge v3"
+ * @property {number|null} dataVersion - Minecraft DataVersion the file was saved with, if known
+ * @property {{x: number, y: number, z: number}|null} [origin] - World position of block (0,0,0) as
+ *           recorded by the file (Sponge Offset, WorldEdit origin of MCEdit files), null when unknown.
+ *           Always null for litematics: their region positions are relative to wherever they get placed
+ * @property {SchematicRegion[]} [regions] - Sub-regions (multi-region litematics only)
+ * @property {function(number,number,number):number} [getRegionIndex] - Region index at (x,y,z), -1 if none
+ *
+ * Loaded schematics (see schematicFromData) also expose their blocks as palette indices, so hot
+ * loops compare integers instead of block state strings:
+ * @property {Uint16Array|Uint32Array} [blockIndices] - Palette index per block, YZX order; 0 is air
+ * @property {function(number,number,number):number} [getIndex] - Palette index at (x,y,z), -1 outside
+ * @property {function(number):(Uint16Array|Uint32Array)} [getLayer] - Indices of layer Y (x + z*W), a view
+ * @property {import('./blockColors.js').PaletteInfo[]|null} [palette] - Per-index metadata, set once textures are loaded
+ * @property {Uint8Array|Uint16Array} [regionMap] - Region index + 1 per block (multi-region only)
  */
 
 // ─── Varint Decoder (for .schem BlockData) ───
@@ -36,19 +53,73 @@ function decodeVarintArray(bytes, expectedCount) {
     return result;
 }
 
-// ─── Sponge Schematic v2 (.schem) parser ───
+// ─── Palette helpers ───
+
+/**
+ * Convert an NBT palette entry ({ Name, Properties }) into a block state string,
+ * e.g. "minecraft:oak_stairs[facing=east,half=bottom]". Properties are sorted by key.
+ */
+function paletteEntryToState(entry) {
+    let name = entry.Name;
+    if (entry.Properties && Object.keys(entry.Properties).length > 0) {
+        const props = Object.entries(entry.Properties)
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([k, v]) => `${k}=${v}`)
+            .join(',');
+        name += `[${props}]`;
+    }
+    return name;
+}
+
+// ─── Minecraft versions ───
+
+// DataVersion of each release (first version that used it), ascending
+const DATA_VERSIONS = [
+    [1343, '1.12.2'], [1519, '1.13'], [1631, '1.13.2'], [1952, '1.14'], [1976, '1.14.4'],
+    [2225, '1.15'], [2230, '1.15.2'], [2566, '1.16'], [2586, '1.16.5'], [2724, '1.17'],
+    [2730, '1.17.1'], [2860, '1.18'], [2975, '1.18.2'], [3105, '1.19'], [3120, '1.19.2'],
+    [3218, '1.19.3'], [3337, '1.19.4'], [3463, '1.20'], [3465, '1.20.1'], [3578, '1.20.2'],
+    [3700, '1.20.4'], [3839, '1.20.6'], [3953, '1.21'], [3955, '1.21.1'], [4082, '1.21.3'],
+    [4189, '1.21.4'], [4325, '1.21.5'], [4435, '1.21.6'], [4438, '1.21.7'], [4440, '1.21.8'],
+    [4554, '1.21.9'], [4556, '1.21.10'],
+];
+
+/**
+ * Map a DataVersion to the newest Minecraft release at or below it.
+ * e.g. 3105 → "1.19", 3110 → "1.19" (a snapshot/pre-release after 1.19)
+ */
+export function getMinecraftVersion(dataVersion) {
+    if (!dataVersion) return null;
+    let match = null;
+    for (const [dv, version] of DATA_VERSIONS) {
+        if (dv > dataVersion) break;
+        match = version;
+    }
+    return match;
+}
+
+// ─── Sponge Schematic v1–v3 (.schem) parser ───
 
 export function parseSchem(nbtData) {
     // The root tag may be wrapped in a "Schematic" compound or be the root itself
     const root = nbtData.Schematic || nbtData;
 
+    // v1 and v2 keep Palette/BlockData on the root; v3 nests them as Blocks.Palette / Blocks.Data.
+    // Fall back to the layout when Version is missing.
+    const version = Number(root.Version ?? (root.Blocks ? 3 : 2));
+    const blockContainer = version >= 3 ? root.Blocks : root;
+    if (!blockContainer) throw new Error('No Blocks found in .schem v3 file');
+
     const width = root.Width;
     const height = root.Height;
     const length = root.Length;
+    // v1 has no Metadata at all
     const name = root.Metadata?.Name || root.Metadata?.name || 'Unnamed';
+    // v1 predates DataVersion
+    const dataVersion = root.DataVersion !== undefined ? Number(root.DataVersion) : null;
 
     // Build palette: the Palette tag maps block state strings → integer indices
-    const paletteTag = root.Palette;
+    const paletteTag = blockContainer.Palette;
     if (!paletteTag) throw new Error('No Palette found in .schem file');
 
     const maxIndex = Object.values(paletteTag).reduce((a, b) => Math.max(a, b), 0);
@@ -57,8 +128,8 @@ export function parseSchem(nbtData) {
         paletteList[Number(index)] = blockState;
     }
 
-    // Decode BlockData (varint encoded byte array)
-    const blockDataRaw = root.BlockData;
+    // Decode BlockData (varint encoded byte array), named Data in v3
+    const blockDataRaw = version >= 3 ? blockContainer.Data : blockContainer.BlockData;
     if (!blockDataRaw) throw new Error('No BlockData found in .schem file');
 
     // blockDataRaw could be Int8Array or Uint8Array depending on NBTify
@@ -86,100 +157,370 @@ export function parseSchem(nbtData) {
         return paletteList[paletteIdx] || null;
     }
 
-    return { width, height, length, name, paletteList, getBlock, totalNonAir };
+    const format = `Sponge v${version}`;
+    // WorldEdit writes the world position of the min corner as Offset
+    const origin = root.Offset?.length === 3
+        ? { x: Number(root.Offset[0]), y: Number(root.Offset[1]), z: Number(root.Offset[2]) }
+        : null;
+
+    return { width, height, length, name, paletteList, getBlock, totalNonAir, format, dataVersion, origin };
 }
 
 // ─── Litematic parser ───
 
-export function parseLitematic(nbtData) {
-    const regions = nbtData.Regions;
-    if (!regions) throw new Error('No Regions found in .litematic file');
-
-    // Use the first region
-    const regionName = Object.keys(regions)[0];
-    const region = regions[regionName];
-    if (!region) throw new Error('Empty Regions in .litematic file');
-
-    const size = region.Size;
-    // Sizes can be negative; use absolute values
-    const width = Math.abs(size.x ?? size.X);
-    const height = Math.abs(size.y ?? size.Y);
-    const length = Math.abs(size.z ?? size.Z);
-
-    const palette = region.BlockStatePalette;
-    if (!palette || palette.length === 0) throw new Error('No BlockStatePalette found');
-
-    // Build palette list: each entry is { Name: "minecraft:stone", Properties: {...} }
-    const paletteList = palette.map(entry => {
-        let name = entry.Name;
-        if (entry.Properties && Object.keys(entry.Properties).length > 0) {
-            const props = Object.entries(entry.Properties)
-                .sort(([a], [b]) => a.localeCompare(b))
-                .map(([k, v]) => `${k}=${v}`)
-                .join(',');
-            name += `[${props}]`;
-        }
-        return name;
-    });
+const LITTLE_ENDIAN = new Uint8Array(new Uint32Array([1]).buffer)[0] === 1;
 
-    // Decode block states from packed long array
-    const blockStatesLong = region.BlockStates;
-    if (!blockStatesLong) throw new Error('No BlockStates found');
+/**
+ * View a long array as unsigned 32-bit halves, low half first, so the packed bit stream can be
+ * read with plain 32-bit integer math instead of BigInt. Typed arrays are viewed in place.
+ */
+function toUint32Halves(longs) {
+    if (LITTLE_ENDIAN && ArrayBuffer.isView(longs)) {
+        return new Uint32Array(longs.buffer, longs.byteOffset, longs.length * 2);
+    }
+    const halves = new Uint32Array(longs.length * 2);
+    for (let i = 0; i < longs.length; i++) {
+        const value = BigInt.asUintN(64, BigInt(longs[i]));
+        halves[2 * i] = Number(value & 0xFFFFFFFFn);
+        halves[2 * i + 1] = Number(value >> 32n);
+    }
+    return halves;
+}
 
-    const totalBlocks = width * height * length;
-    const bitsPerEntry = Math.max(2, Math.ceil(Math.log2(palette.length)));
+/**
+ * Unpack a Litematica BlockStates long array into palette indices.
+ * Handles both the legacy spanning layout (entries may cross long boundaries)
+ * and the 1.16+ non-spanning layout.
+ */
+function unpackBlockStates(blockStatesLong, paletteLength, totalBlocks) {
+    const bitsPerEntry = Math.max(2, Math.ceil(Math.log2(paletteLength)));
     const entriesPerLong = Math.floor(64 / bitsPerEntry);
-    const mask = (1n << BigInt(bitsPerEntry)) - 1n;
+    const mask = bitsPerEntry >= 32 ? 0xFFFFFFFF : (1 << bitsPerEntry) - 1;
 
     const blockIndices = new Int32Array(totalBlocks);
+    // Bit n of the packed stream is bit (n % 32) of words[n >> 5]; missing words read as 0
+    const words = toUint32Halves(blockStatesLong);
 
     const expectedSpanning = Math.ceil((totalBlocks * bitsPerEntry) / 64);
-    const expectedNonSpanning = Math.ceil(totalBlocks / Math.floor(64 / bitsPerEntry));
+    const expectedNonSpanning = Math.ceil(totalBlocks / entriesPerLong);
+    // When both layouts have the same length, read it as non-spanning
     const isSpanning = blockStatesLong.length === expectedSpanning && expectedSpanning !== expectedNonSpanning;
 
-    if (isSpanning) {
-        for (let i = 0; i < totalBlocks; i++) {
-            const startBit = i * bitsPerEntry;
-            const startIndex = Math.floor(startBit / 64);
-            const endBit = startBit + bitsPerEntry - 1;
-            const endIndex = Math.floor(endBit / 64);
-            const startBitOffset = startBit % 64;
-
-            let val1 = BigInt.asUintN(64, BigInt(blockStatesLong[startIndex]));
-            let paletteIdx;
-
-            if (startIndex === endIndex) {
-                // Value is fully contained in this long
-                paletteIdx = Number((val1 >> BigInt(startBitOffset)) & mask);
-            } else {
-                // Value spans across this long and the next long
-                const endBitOffset = 64 - startBitOffset;
-                // Safely handle the edge case where endIndex might be out of bounds, though it shouldn't be
-                const nextLong = blockStatesLong[endIndex] !== undefined ? BigInt(blockStatesLong[endIndex]) : 0n;
-                let val2 = BigInt.asUintN(64, nextLong);
-
-                const part1 = (val1 >> BigInt(startBitOffset)) & mask;
-                const part2 = (val2 << BigInt(endBitOffset)) & mask;
-                paletteIdx = Number(part1 | part2);
-            }
-            blockIndices[i] = paletteIdx;
+    for (let i = 0; i < totalBlocks; i++) {
+        // Modern 1.16+ non-spanning layout pads each long, so entries restart at every long
+        const startBit = isSpanning
+            ? i * bitsPerEntry
+            : Math.floor(i / entriesPerLong) * 64 + (i % entriesPerLong) * bitsPerEntry;
+        const wordIndex = Math.floor(startBit / 32);
+        const bitOffset = startBit % 32;
+
+        let value = (words[wordIndex] ?? 0) >>> bitOffset;
+        if (bitOffset + bitsPerEntry > 32) {
+            // Value spans into the next 32-bit word (and possibly the next long)
+            value |= (words[wordIndex + 1] ?? 0) << (32 - bitOffset);
         }
-    } else {
-        // Modern 1.16+ non-spanning logic
-        for (let i = 0; i < totalBlocks; i++) {
-            const longIndex = Math.floor(i / entriesPerLong);
-            const bitOffset = (i % entriesPerLong) * bitsPerEntry;
-            let longVal = blockStatesLong[longIndex];
-
-            if (longVal === undefined) {
-                // Should not happen if size is correct, but avoids crashes
-                longVal = 0n;
+        blockIndices[i] = (value & mask) >>> 0;
+    }
+
+    return blockIndices;
+}
+
+/**
+ * @typedef {Object} SchematicRegion
+ * @property {string} name
+ * @property {number} x      - Min corner X inside the unified bounding box
+ * @property {number} y      - Min corner Y inside the unified bounding box
+ * @property {number} z      - Min corner Z inside the unified bounding box
+ * @property {number} width
+ * @property {number} height
+ * @property {number} length
+ */
+
+export function parseLitematic(nbtData) {
+    const regionsTag = nbtData.Regions;
+    if (!regionsTag) throw new Error('No Regions found in .litematic file');
+
+    const regionNames = Object.keys(regionsTag);
+    if (regionNames.length === 0) throw new Error('Empty Regions in .litematic file');
+
+    // 1. Resolve every region's box. Size is signed: a negative size means the region
+    //    extends from Position towards the negative axis, so the min corner is
+    //    Position + Size + 1 on that axis.
+    const boxes = regionNames.map(regionName => {
+        const region = regionsTag[regionName];
+        const pos = region.Position ?? { x: 0, y: 0, z: 0 };
+        const size = region.Size;
+
+        const axis = (p, s) => {
+            p = Number(p ?? 0);
+            s = Number(s);
+            return s < 0 ? { min: p + s + 1, extent: -s } : { min: p, extent: s };
+        };
+        const ax = axis(pos.x ?? pos.X, size.x ?? size.X);
+        const ay = axis(pos.y ?? pos.Y, size.y ?? size.Y);
+        const az = axis(pos.z ?? pos.Z, size.z ?? size.Z);
+
+        return {
+            name: regionName, region,
+            minX: ax.min, minY: ay.min, minZ: az.min,
+            width: ax.extent, height: ay.extent, length: az.extent,
+        };
+    });
+
+    // 2. Unified bounding box of all regions
+    const originX = Math.min(...boxes.map(b => b.minX));
+    const originY = Math.min(...boxes.map(b => b.minY));
+    const originZ = Math.min(...boxes.map(b => b.minZ));
+    const width = Math.max(...boxes.map(b => b.minX + b.width)) - originX;
+    const height = Math.max(...boxes.map(b => b.minY + b.height)) - originY;
+    const length = Math.max(...boxes.map(b => b.minZ + b.length)) - originZ;
+
+    // 3. Merge every region palette into one; index 0 is air so unfilled cells read as air
+    const paletteList = ['minecraft:air'];
+    const paletteLookup = new Map([['minecraft:air', 0]]);
+
+    const totalBlocks = width * height * length;
+    const blockIndices = new Int32Array(totalBlocks);
+    // Region membership per cell, stored as regionIndex + 1 (0 = outside every region)
+    const regionMap = boxes.length < 255 ? new Uint8Array(totalBlocks) : new Uint16Array(totalBlocks);
+
+    const regions = [];
+
+    boxes.forEach((box, regionIndex) => {
+        const { region } = box;
+
+        const palette = region.BlockStatePalette;
+        if (!palette || palette.length === 0) throw new Error(`No BlockStatePalette found in region "${box.name}"`);
+
+        // Build palette list: each entry is { Name: "minecraft:stone", Properties: {...} }
+        const localToGlobal = palette.map(entry => {
+            const state = paletteEntryToState(entry);
+            let globalIdx = paletteLookup.get(state);
+            if (globalIdx === undefined) {
+                globalIdx = paletteList.length;
+                paletteList.push(state);
+                paletteLookup.set(state, globalIdx);
             }
+            return globalIdx;
+        });
+        const localIsAir = palette.map(entry => {
+            const base = String(entry.Name).toLowerCase();
+            return base === 'minecraft:air' || base === 'minecraft:cave_air' || base === 'minecraft:void_air';
+        });
+
+        // Decode block states from packed long array
+        const blockStatesLong = region.BlockStates;
+        if (!blockStatesLong) throw new Error(`No BlockStates found in region "${box.name}"`);
+
+        const { width: rW, height: rH, length: rL } = box;
+        const local = unpackBlockStates(blockStatesLong, palette.length, rW * rH * rL);
+
+        const offX = box.minX - originX;
+        const offY = box.minY - originY;
+        const offZ = box.minZ - originZ;
+
+        // Litematic indexing: YZX order (Y varies slowest, X varies fastest)
+        // index = y * length * width + z * width + x
+        let i = 0;
+        for (let y = 0; y < rH; y++) {
+            for (let z = 0; z < rL; z++) {
+                let target = (y + offY) * length * width + (z + offZ) * width + offX;
+                for (let x = 0; x < rW; x++, i++, target++) {
+                    const localIdx = local[i];
+                    if (!localIsAir[localIdx]) {
+                        // Overlapping regions: non-air always wins over air
+                        blockIndices[target] = localToGlobal[localIdx];
+                        regionMap[target] = regionIndex + 1;
+                    } else if (regionMap[target] === 0) {
+                        regionMap[target] = regionIndex + 1;
+                    }
+                }
+            }
+        }
+
+        regions.push({
+            name: box.name,
+            x: offX, y: offY, z: offZ,
+            width: rW, height: rH, length: rL,
+        });
+    });
+
+    // Count non-air
+    let totalNonAir = 0;
+    const airIndices = new Set();
+    paletteList.forEach((state, idx) => {
+        const base = state.split('[')[0].toLowerCase();
+        if (base === 'minecraft:air' || base === 'minecraft:cave_air' || base === 'minecraft:void_air') {
+            airIndices.add(idx);
+        }
+    });
+    for (let i = 0; i < blockIndices.length; i++) {
+        if (!airIndices.has(blockIndices[i])) totalNonAir++;
+    }
+
+    function getBlock(x, y, z) {
+        if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) return null;
+        const index = y * length * width + z * width + x;
+        const paletteIdx = blockIndices[index];
+        return paletteList[paletteIdx] || null;
+    }
+
+    /** Index into `regions` of the region owning (x,y,z), or -1 if none */
+    function getRegionIndex(x, y, z) {
+        if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) return -1;
+        return regionMap[y * length * width + z * width + x] - 1;
+    }
+
+    const name = nbtData.Metadata?.Name || regionNames[0] || 'Unnamed';
+    const format = nbtData.Version !== undefined ? `Litematic v${Number(nbtData.Version)}` : 'Litematic';
+    const dataVersion = nbtData.MinecraftDataVersion !== undefined ? Number(nbtData.MinecraftDataVersion) : null;
+
+    // Region positions are relative to the placement origin, and Litematica doesn't store
+    // where the schematic was placed: the world position is unknown
+    const origin = null;
+
+    return {
+        width, height, length, name, paletteList, getBlock, totalNonAir, format, dataVersion, origin,
+        regions, getRegionIndex,
+    };
+}
+
+// ─── Vanilla structure block (.nbt) parser ───
+
+export function parseStructureNbt(nbtData) {
+    const size = nbtData.size;
+    if (!size || size.length < 3) throw new Error('No size found in .nbt structure file');
+
+    const width = Number(size[0]);
+    const height = Number(size[1]);
+    const length = Number(size[2]);
+
+    // Structures either have a single "palette" or several "palettes" (random variants,
+    // e.g. shipwrecks). All variants share the same indices, so we show the first one.
+    const palette = nbtData.palette ?? nbtData.palettes?.[0];
+    if (!palette || palette.length === 0) throw new Error('No palette found in .nbt structure file');
+
+    const paletteList = palette.map(paletteEntryToState);
 
-            const unsignedLong = BigInt.asUintN(64, BigInt(longVal));
-            const paletteIdx = Number((unsignedLong >> BigInt(bitOffset)) & mask);
-            blockIndices[i] = paletteIdx;
+    // Positions missing from the blocks list are structure voids: show them as air
+    let airIndex = paletteList.findIndex(state => state.split('[')[0].toLowerCase() === 'minecraft:air');
+    if (airIndex === -1) {
+        airIndex = paletteList.length;
+        paletteList.push('minecraft:air');
+    }
+
+    const blocks = nbtData.blocks;
+    if (!blocks) throw new Error('No blocks found in .nbt structure file');
+
+    const totalBlocks = width * height * length;
+    const blockIndices = new Int32Array(totalBlocks).fill(airIndex);
+
+    // Stored in the same YZX order as the other formats: x + z * width + y * width * length
+    for (const block of blocks) {
+        const x = Number(block.pos[0]);
+        const y = Number(block.pos[1]);
+        const z = Number(block.pos[2]);
+        if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) continue;
+        blockIndices[x + z * width + y * width * length] = Number(block.state);
+    }
+
+    // Count non-air
+    let totalNonAir = 0;
+    const airIndices = new Set();
+    paletteList.forEach((state, idx) => {
+        const base = state.split('[')[0].toLowerCase();
+        if (base === 'minecraft:air' || base === 'minecraft:cave_air' || base === 'minecraft:void_air') {
+            airIndices.add(idx);
+        }
+    });
+    for (let i = 0; i < blockIndices.length; i++) {
+        if (!airIndices.has(blockIndices[i])) totalNonAir++;
+    }
+
+    function getBlock(x, y, z) {
+        if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) return null;
+        const index = x + z * width + y * width * length;
+        const paletteIdx = blockIndices[index];
+        return paletteList[paletteIdx] || null;
+    }
+
+    // Structure files carry no name; the app falls back to the file name
+    const name = 'Unnamed';
+    const format = 'Structure';
+    const dataVersion = nbtData.DataVersion !== undefined ? Number(nbtData.DataVersion) : null;
+
+    return { width, height, length, name, paletteList, getBlock, totalNonAir, format, dataVersion };
+}
+
+// ─── Legacy MCEdit / Schematica (.schematic) parser ───
+
+export function parseMcEditSchematic(nbtData) {
+    const root = nbtData.Schematic || nbtData;
+
+    if (root.Materials !== undefined && String(root.Materials) !== 'Alpha') {
+        throw new Error(`Unsupported .schematic materials "${root.Materials}" (only Alpha is supported)`);
+    }
+
+    const width = Number(root.Width);
+    const height = Number(root.Height);
+    const length = Number(root.Length);
+
+    const blocksRaw = root.Blocks;
+    const dataRaw = root.Data;
+    if (!blocksRaw || !dataRaw) throw new Error('No Blocks/Data found in .schematic file');
+
+    const blockIds = new Uint8Array(blocksRaw.buffer || blocksRaw, blocksRaw.byteOffset ?? 0, blocksRaw.length);
+    const blockMeta = new Uint8Array(dataRaw.buffer || dataRaw, dataRaw.byteOffset ?? 0, dataRaw.length);
+    // Optional nibble array with the high 4 bits of ids above 255 (Schematica/WorldEdit "AddBlocks")
+    const addRaw = root.AddBlocks;
+    const addBlocks = addRaw ? new Uint8Array(addRaw.buffer || addRaw, addRaw.byteOffset ?? 0, addRaw.length) : null;
+
+    const totalBlocks = width * height * length;
+    const layerSize = width * length;
+
+    function idAt(index) {
+        let id = blockIds[index];
+        if (addBlocks && (index >> 1) < addBlocks.length) {
+            id |= index & 1
+                ? (addBlocks[index >> 1] & 0xF0) << 4
+                : (addBlocks[index >> 1] & 0x0F) << 8;
+        }
+        return id;
+    }
+
+    // Build the palette on the fly: one entry per distinct modern block state
+    const paletteList = ['minecraft:air'];
+    const paletteLookup = new Map([['minecraft:air', 0]]);
+    const legacyCache = new Map(); // "id:meta:paired" → palette index
+
+    const blockIndices = new Int32Array(totalBlocks);
+
+    // Same YZX order as .schem: x + z * Width + y * Width * Length
+    for (let i = 0; i < totalBlocks; i++) {
+        const id = idAt(i);
+        if (id === 0) continue;
+        const meta = blockMeta[i] & 0x0F;
+
+        // Doors and double plants keep half their state in the other half
+        let paired;
+        if (LEGACY_TWO_TALL_IDS.has(id)) {
+            const other = meta & 8 ? i - layerSize : i + layerSize;
+            if (other >= 0 && other < totalBlocks && idAt(other) === id) paired = blockMeta[other] & 0x0F;
+        }
+
+        const cacheKey = `${id}:${meta}:${paired}`;
+        let paletteIdx = legacyCache.get(cacheKey);
+        if (paletteIdx === undefined) {
+            const blockState = legacyToState(id, meta, paired);
+            paletteIdx = paletteLookup.get(blockState);
+            if (paletteIdx === undefined) {
+                paletteIdx = paletteList.length;
+                paletteList.push(blockState);
+                paletteLookup.set(blockState, paletteIdx);
+            }
+            legacyCache.set(cacheKey, paletteIdx);
         }
+        blockIndices[i] = paletteIdx;
     }
 
     // Count non-air
@@ -195,16 +536,148 @@ export function parseLitematic(nbtData) {
         if (!airIndices.has(blockIndices[i])) totalNonAir++;
     }
 
-    // Litematic indexing: YZX order (Y varies slowest, X varies fastest)
-    // index = y * length * width + z * width + x
     function getBlock(x, y, z) {
         if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) return null;
-        const index = y * length * width + z * width + x;
+        const index = x + z * width + y * width * length;
         const paletteIdx = blockIndices[index];
         return paletteList[paletteIdx] || null;
     }
 
-    const name = nbtData.Metadata?.Name || regionName || 'Unnamed';
+    const name = 'Unnamed';
+    const format = 'MCEdit (legacy)';
+    // Pre-1.13 files carry no DataVersion
+    const dataVersion = null;
+    // WorldEdit records the world position of the min corner
+    const origin = root.WEOriginX !== undefined
+        ? { x: Number(root.WEOriginX), y: Number(root.WEOriginY), z: Number(root.WEOriginZ) }
+        : null;
+
+    return { width, height, length, name, paletteList, getBlock, totalNonAir, format, dataVersion, origin };
+}
+
+// ─── Flat block data (Web Worker transfer) ───
+
+/**
+ * @typedef {Object} SchematicData
+ * Structured-clone friendly form of a Schematic, posted back by the parse worker.
+ * @property {number} width
+ * @property {number} height
+ * @property {number} length
+ * @property {string} name
+ * @property {string} format
+ * @property {number|null} dataVersion
+ * @property {{x: number, y: number, z: number}|null} origin
+ * @property {string[]} paletteList   - Index 0 is always minecraft:air
+ * @property {Uint16Array|Uint32Array} blockIndices - Palette index per block, YZX order (x + z*W + y*W*L);
+ *           Uint16 unless the palette has more than 65536 entries
+ * @property {number} totalNonAir
+ * @property {SchematicRegion[]} [regions]
+ * @property {Uint8Array|Uint16Array} [regionMap] - regionIndex + 1 per block (0 = outside every region)
+ */
+
+/**
+ * Flatten any Schematic into palette indices, one layer at a time.
+ * @param {Schematic} schematic
+ * @param {function(number):void} [onLayer] - Called after each finished layer with its Y
+ * @returns {SchematicData}
+ */
+export function flattenSchematic(schematic, onLayer) {
+    // Dimensions may still be NBT number wrappers, which don't survive postMessage
+    const width = Number(schematic.width);
+    const height = Number(schematic.height);
+    const length = Number(schematic.length);
+    const layerSize = width * length;
+
+    const paletteList = ['minecraft:air'];
+    const paletteLookup = new Map([['minecraft:air', 0]]);
+    let blockIndices = new Uint16Array(layerSize * height);
+    const regionMap = schematic.regions
+        ? (schematic.regions.length < 255 ? new Uint8Array(blockIndices.length) : new Uint16Array(blockIndices.length))
+        : null;
+
+    let totalNonAir = 0;
+    let i = 0;
+    for (let y = 0; y < height; y++) {
+        for (let z = 0; z < length; z++) {
+            for (let x = 0; x < width; x++, i++) {
+                if (regionMap) regionMap[i] = schematic.getRegionIndex(x, y, z) + 1;
+                const blockState = schematic.getBlock(x, y, z);
+                if (!blockState) continue;
+                let idx = paletteLookup.get(blockState);
+                if (idx === undefined) {
+                    idx = paletteList.length;
+                    paletteList.push(blockState);
+                    paletteLookup.set(blockState, idx);
+                    if (idx > 0xFFFF && blockIndices instanceof Uint16Array) blockIndices = Uint32Array.from(blockIndices);
+                }
+                blockIndices[i] = idx;
+                const base = blockState.split('[')[0].toLowerCase();
+                if (base !== 'minecraft:air' && base !== 'minecraft:cave_air' && base !== 'minecraft:void_air') {
+                    totalNonAir++;
+                }
+            }
+        }
+        onLayer?.(y);
+    }
+
+    const data = {
+        width, height, length,
+        name: schematic.name, format: schematic.format, dataVersion: schematic.dataVersion,
+        origin: schematic.origin ?? null,
+        paletteList, blockIndices, totalNonAir,
+    };
+    if (regionMap) {
+        data.regions = schematic.regions;
+        data.regionMap = regionMap;
+    }
+    return data;
+}
+
+/** Rebuild a Schematic from the flat data produced by flattenSchematic */
+export function schematicFromData(data) {
+    const { width, height, length, paletteList, blockIndices, regionMap } = data;
+
+    const layerSize = width * length;
+
+    function getIndex(x, y, z) {
+        if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) return -1;
+        return blockIndices[x + z * width + y * layerSize];
+    }
+
+    function getBlock(x, y, z) {
+        const index = getIndex(x, y, z);
+        return index < 0 ? null : paletteList[index] || null;
+    }
+
+    function getLayer(y) {
+        return blockIndices.subarray(y * layerSize, (y + 1) * layerSize);
+    }
+
+    const schematic = {
+        width, height, length,
+        name: data.name, paletteList, getBlock, totalNonAir: data.totalNonAir,
+        format: data.format, dataVersion: data.dataVersion, origin: data.origin ?? null,
+        blockIndices, getIndex, getLayer, palette: null,
+    };
+    if (regionMap) {
+        schematic.regions = data.regions;
+        schematic.getRegionIndex = (x, y, z) => {
+            if (x < 0 || x >= width || y < 0 || y >= height || z < 0 || z >= length) return -1;
+            return regionMap[x + z * width + y * layerSize] - 1;
+        };
+        schematic.regionMap = regionMap;
+    }
+    return schematic;
+}
 
-    return { width, height, length, name, paletteList, getBlock, totalNonAir };
+/**
+ * Approximate memory held by a loaded schematic: typed block and region arrays plus
+ * palette strings (2 bytes per character).
+ * @returns {{ total: number, blocks: number, regions: number, palette: number }} bytes
+ */
+export function getSchematicMemory(schematic) {
+    const blocks = schematic.blockIndices?.byteLength ?? 0;
+    const regions = schematic.regionMap?.byteLength ?? 0;
+    const palette = schematic.paletteList.reduce((sum, bs) => sum + (bs ? bs.length * 2 : 0), 0);
+    return { total: blocks + regions + palette, blocks, regions, palette };
 }
@@ -0,0 +1,201 @@
+/**
+ * progressStore.js — Persist "placed" build progress in IndexedDB, and share it as JSON files
+ * Progress is keyed by a content hash of the schematic's blocks, so reloading the
+ * same build (in any file format) restores it.
+ */
+import { openStore } from './idbStore.js';
+
+const DB_NAME = 'schematic-viewer';
+const STORE = 'progress';
+
+const PROGRESS_FILE_FORMAT = 'schematic-viewer-progress';
+const PROGRESS_FILE_VERSION = 1;
+
+/** Run a single request against the progress store and resolve with its result */
+const withStore = openStore(DB_NAME, STORE, { keyPath: 'hash' });
+
+// ─── Content hash ───
+
+/** FNV-1a (64-bit via two 32-bit lanes), used when SubtleCrypto is unavailable (non-secure origins) */
+function fnv1a64(bytes) {
+    let h1 = 0x811c9dc5;
+    let h2 = 0xcbf29ce4;
+    for (let i = 0; i < bytes.length; i++) {
+        h1 = Math.imul(h1 ^ bytes[i], 0x01000193);
+        h2 = Math.imul(h2 ^ bytes[i], 0x01000193) ^ (h1 >>> 15);
+    }
+    return (h1 >>> 0).toString(16).padStart(8, '0') + (h2 >>> 0).toString(16).padStart(8, '0');
+}
+
+/**
+ * Hash the schematic's dimensions and block states (not the file bytes), so the same build
+ * saved as .schem or .litematic maps to the same progress.
+ * @returns {Promise<string>} hex digest
+ */
+export async function computeSchematicHash(schematic) {
+    const { width, height, length, getBlock } = schematic;
+
+    // Palette in order of first appearance + one index per block, in YZX order
+    const palette = [];
+    const lookup = new Map();
+    const indices = new Uint32Array(width * height * length);
+    const toHashIndex = blockState => {
+        blockState = blockState || 'minecraft:air';
+        let idx = lookup.get(blockState);
+        if (idx === undefined) {
+            idx = palette.length;
+            palette.push(blockState);
+            lookup.set(blockState, idx);
+        }
+        return idx;
+    };
+
+    if (schematic.getLayer) {
+        // Typed layers: resolve each schematic palette index once
+        const hashIndexOf = new Int32Array(schematic.paletteList.length).fill(-1);
+        let i = 0;
+        for (let y = 0; y < height; y++) {
+            const layer = schematic.getLayer(y);
+            for (let j = 0; j < layer.length; j++, i++) {
+                const p = layer[j];
+                if (hashIndexOf[p] === -1) hashIndexOf[p] = toHashIndex(schematic.paletteList[p]);
+                indices[i] = hashIndexOf[p];
+            }
+        }
+    } else {
+        let i = 0;
+        for (let y = 0; y < height; y++) {
+            for (let z = 0; z < length; z++) {
+                for (let x = 0; x < width; x++, i++) {
+                    indices[i] = toHashIndex(getBlock(x, y, z));
+                }
+            }
+        }
+    }
+
+    const header = new TextEncoder().encode(`${width}x${height}x${length}\n${palette.join('\n')}\n`);
+    const body = new Uint8Array(indices.buffer);
+    const bytes = new Uint8Array(header.length + body.length);
+    bytes.set(header, 0);
+    bytes.set(body, header.length);
+
+    if (globalThis.crypto?.subtle) {
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    }
+    return fnv1a64(bytes);
+}
+
+// ─── Serialization ───
+
+/** Map<layerY, Set<"x,z">> → { [layerY]: ["x,z", …] }, skipping empty layers */
+export function serializePlaced(placedBlocks) {
+    const layers = {};
+    for (const [layer, cells] of placedBlocks) {
+        if (cells.size > 0) layers[layer] = [...cells];
+    }
+    return layers;
+}
+
+/** { [layerY]: ["x,z", …] } → Map<layerY, Set<"x,z">> */
+export function deserializePlaced(layers) {
+    const placed = new Map();
+    for (const [layer, cells] of Object.entries(layers || {})) {
+        placed.set(Number(layer), new Set(cells));
+    }
+    return placed;
+}
+
+// ─── Public API ───
+
+/**
+ * Load saved progress for a schematic hash.
+ * @returns {Promise<Map<number, Set<string>>|null>} null when nothing was saved
+ */
+export async function loadProgress(hash) {
+    const record = await withStore('readonly', store => store.get(hash));
+    return record ? deserializePlaced(record.layers) : null;
+}
+
+/** Save (or, when nothing is placed, delete) the progress for a schematic hash */
+export async function saveProgress(hash, placedBlocks, info = {}) {
+    const layers = serializePlaced(placedBlocks);
+    if (Object.keys(layers).length === 0) {
+        return withStore('readwrite', store => store.delete(hash));
+    }
+    return withStore('readwrite', store => store.put({
+        hash,
+        name: info.name ?? '',
+        width: Number(info.width),
+        height: Number(info.height),
+        length: Number(info.length),
+        layers,
+        updatedAt: Date.now(),
+    }));
+}
+
+// ─── Shareable progress files ───
+
+/** Build the JSON text of a progress file for the given schematic */
+export function createProgressFile(hash, placedBlocks, info) {
+    return JSON.stringify({
+        format: PROGRESS_FILE_FORMAT,
+        version: PROGRESS_FILE_VERSION,
+        hash,
+        name: info.name ?? '',
+        width: Number(info.width),
+        height: Number(info.height),
+        length: Number(info.length),
+        exportedAt: new Date().toISOString(),
+        layers: serializePlaced(placedBlocks),
+    });
+}
+
+/**
+ * Parse and validate a progress file against the loaded schematic.
+ * Throws with a user-facing message when the file is invalid or belongs to another build.
+ * @returns {{ name: string, placed: Map<number, Set<string>> }}
+ */
+export function readProgressFile(text, hash, info) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('This is not a progress file (invalid JSON).');
+    }
+    if (data?.format !== PROGRESS_FILE_FORMAT) {
+        throw new Error('This is not a Schematic Viewer progress file.');
+    }
+    if (data.version > PROGRESS_FILE_VERSION) {
+        throw new Error('This progress file was made by a newer version of the viewer.');
+    }
+
+    const width = Number(info.width);
+    const height = Number(info.height);
+    const length = Number(info.length);
+    if (data.width !== width || data.height !== height || data.length !== length) {
+        throw new Error(
+            `This progress file belongs to a different schematic ("${data.name || 'unnamed'}", ` +
+            `${data.width}×${data.height}×${data.length}); the loaded one is ${width}×${height}×${length}.`);
+    }
+    if (data.hash !== hash) {
+        throw new Error(
+            `This progress file belongs to a different schematic ("${data.name || 'unnamed'}"): ` +
+            'the dimensions match but the blocks differ.');
+    }
+
+    // Drop anything outside the build rather than trusting the file blindly
+    const placed = deserializePlaced(data.layers);
+    for (const [layer, cells] of placed) {
+        if (!Number.isInteger(layer) || layer < 0 || layer >= height) {
+            placed.delete(layer);
+            continue;
+        }
+        for (const key of cells) {
+            const [x, z] = key.split(',').map(Number);
+            if (!(x >= 0 && x < width && z >= 0 && z < length)) cells.delete(key);
+        }
+    }
+
+    return { name: data.name ?? '', placed };
+}
@@ -0,0 +1,305 @@
+/**
+ * recipes.js — Bundled recipe table and raw-resource resolution for the materials list
+ * Expands crafted items into what has to be gathered, e.g.
+ * oak_stairs → oak_planks → oak_log, white_concrete → white_concrete_powder → sand + gravel + white_dye.
+ */
+
+const COLORS = [
+    'white', 'orange', 'magenta', 'light_blue', 'yellow', 'lime', 'pink', 'gray',
+    'light_gray', 'cyan', 'purple', 'blue', 'brown', 'green', 'red', 'black',
+];
+
+/** Wood types: [prefix, log, wood] */
+const WOODS = [
+    ['oak', 'oak_log', 'oak_wood'],
+    ['spruce', 'spruce_log', 'spruce_wood'],
+    ['birch', 'birch_log', 'birch_wood'],
+    ['jungle', 'jungle_log', 'jungle_wood'],
+    ['acacia', 'acacia_log', 'acacia_wood'],
+    ['dark_oak', 'dark_oak_log', 'dark_oak_wood'],
+    ['mangrove', 'mangrove_log', 'mangrove_wood'],
+    ['cherry', 'cherry_log', 'cherry_wood'],
+    ['pale_oak', 'pale_oak_log', 'pale_oak_wood'],
+    ['crimson', 'crimson_stem', 'crimson_hyphae'],
+    ['warped', 'warped_stem', 'warped_hyphae'],
+];
+
+// ─── Recipe table ───
+
+/**
+ * itemId → [{ station, yields, ingredients: [[itemId, qty], …] }]
+ * station is 'crafting', 'stonecutter', 'furnace', 'water' or 'axe'; only the stonecutter is a
+ * user-selectable alternative.
+ */
+const RECIPES = new Map();
+
+function add(itemId, station, yields, ingredients) {
+    if (!RECIPES.has(itemId)) RECIPES.set(itemId, []);
+    RECIPES.get(itemId).push({ station, yields, ingredients });
+}
+
+/** A block made 4 → 4 at a crafting table, or 1 → 1 at a stonecutter */
+function cut(itemId, from) {
+    add(itemId, 'crafting', 4, [[from, 4]]);
+    add(itemId, 'stonecutter', 1, [[from, 1]]);
+}
+
+/** Stairs, slab and wall variants of a block, e.g. family('stone_bricks', 'stone_brick', { wall: true }) */
+function family(block, prefix, { stairs = true, slab = true, wall = false } = {}) {
+    if (stairs) {
+        add(`${prefix}_stairs`, 'crafting', 4, [[block, 6]]);
+        add(`${prefix}_stairs`, 'stonecutter', 1, [[block, 1]]);
+    }
+    if (slab) {
+        add(`${prefix}_slab`, 'crafting', 6, [[block, 3]]);
+        add(`${prefix}_slab`, 'stonecutter', 2, [[block, 1]]);
+    }
+    if (wall) {
+        add(`${prefix}_wall`, 'crafting', 6, [[block, 6]]);
+        add(`${prefix}_wall`, 'stonecutter', 1, [[block, 1]]);
+    }
+}
+
+/** Wooden family; wood stairs and slabs have no stonecutter recipe */
+function woodFamily(prefix, log, wood, planksPerLog = 4) {
+    const planks = `${prefix}_planks`;
+    add(planks, 'crafting', planksPerLog, [[log, 1]]);
+    if (wood) {
+        add(wood, 'crafting', 3, [[log, 4]]);
+        add(`stripped_${wood}`, 'axe', 1, [[wood, 1]]);
+    }
+    add(`stripped_${log}`, 'axe', 1, [[log, 1]]);
+    add(`${prefix}_stairs`, 'crafting', 4, [[planks, 6]]);
+    add(`${prefix}_slab`, 'crafting', 6, [[planks, 3]]);
+    add(`${prefix}_fence`, 'crafting', 3, [[planks, 4], ['stick', 2]]);
+    add(`${prefix}_fence_gate`, 'crafting', 1, [[planks, 2], ['stick', 4]]);
+    add(`${prefix}_door`, 'crafting', 3, [[planks, 6]]);
+    add(`${prefix}_trapdoor`, 'crafting', 2, [[planks, 6]]);
+    add(`${prefix}_pressure_plate`, 'crafting', 1, [[planks, 2]]);
+    add(`${prefix}_button`, 'crafting', 1, [[planks, 1]]);
+    add(`${prefix}_sign`, 'crafting', 3, [[planks, 6], ['stick', 1]]);
+    add(`${prefix}_hanging_sign`, 'crafting', 6, [[`stripped_${log}`, 6], ['chain', 2]]);
+}
+
+// Wood (sticks can come from any planks, so they are kept as their own resource)
+for (const [prefix, log, wood] of WOODS) woodFamily(prefix, log, wood);
+woodFamily('bamboo', 'bamboo_block', null, 2);
+add('bamboo_block', 'crafting', 1, [['bamboo', 9]]);
+add('bamboo_mosaic', 'crafting', 1, [['bamboo_slab', 2]]);
+add('bamboo_mosaic_stairs', 'crafting', 4, [['bamboo_mosaic', 6]]);
+add('bamboo_mosaic_slab', 'crafting', 6, [['bamboo_mosaic', 3]]);
+
+// Stone
+add('stone', 'furnace', 1, [['cobblestone', 1]]);
+add('smooth_stone', 'furnace', 1, [['stone', 1]]);
+family('stone', 'stone');
+family('smooth_stone', 'smooth_stone', { stairs: false });
+family('cobblestone', 'cobblestone', { wall: true });
+add('mossy_cobblestone', 'crafting', 1, [['cobblestone', 1], ['vine', 1]]);
+family('mossy_cobblestone', 'mossy_cobblestone', { wall: true });
+cut('stone_bricks', 'stone');
+family('stone_bricks', 'stone_brick', { wall: true });
+add('mossy_stone_bricks', 'crafting', 1, [['stone_bricks', 1], ['vine', 1]]);
+family('mossy_stone_bricks', 'mossy_stone_brick', { wall: true });
+add('cracked_stone_bricks', 'furnace', 1, [['stone_bricks', 1]]);
+add('chiseled_stone_bricks', 'crafting', 1, [['stone_brick_slab', 2]]);
+add('chiseled_stone_bricks', 'stonecutter', 1, [['stone_bricks', 1]]);
+for (const rock of ['granite', 'diorite', 'andesite']) {
+    family(rock, rock, { wall: true });
+    cut(`polished_${rock}`, rock);
+    family(`polished_${rock}`, `polished_${rock}`);
+}
+
+// Deepslate
+add('deepslate', 'furnace', 1, [['cobbled_deepslate', 1]]);
+family('cobbled_deepslate', 'cobbled_deepslate', { wall: true });
+cut('polished_deepslate', 'cobbled_deepslate');
+family('polished_deepslate', 'polished_deepslate', { wall: true });
+cut('deepslate_bricks', 'polished_deepslate');
+family('deepslate_bricks', 'deepslate_brick', { wall: true });
+cut('deepslate_tiles', 'deepslate_bricks');
+family('deepslate_tiles', 'deepslate_tile', { wall: true });
+
+// Tuff
+family('tuff', 'tuff', { wall: true });
+cut('polished_tuff', 'tuff');
+family('polished_tuff', 'polished_tuff', { wall: true });
+cut('tuff_bricks', 'polished_tuff');
+family('tuff_bricks', 'tuff_brick', { wall: true });
+
+// Sandstone
+for (const prefix of ['', 'red_']) {
+    const sandstone = `${prefix}sandstone`;
+    add(sandstone, 'crafting', 1, [[`${prefix}sand`, 4]]);
+    family(sandstone, sandstone, { wall: true });
+    cut(`cut_${sandstone}`, sandstone);
+    family(`cut_${sandstone}`, `cut_${sandstone}`, { stairs: false });
+    add(`smooth_${sandstone}`, 'furnace', 1, [[sandstone, 1]]);
+    family(`smooth_${sandstone}`, `smooth_${sandstone}`);
+    add(`chiseled_${sandstone}`, 'crafting', 1, [[`${sandstone}_slab`, 2]]);
+    add(`chiseled_${sandstone}`, 'stonecutter', 1, [[sandstone, 1]]);
+}
+
+// Bricks and mud
+add('brick', 'furnace', 1, [['clay_ball', 1]]);
+add('bricks', 'crafting', 1, [['brick', 4]]);
+family('bricks', 'brick', { wall: true });
+add('packed_mud', 'crafting', 1, [['mud', 1], ['wheat', 1]]);
+cut('mud_bricks', 'packed_mud');
+family('mud_bricks', 'mud_brick', { wall: true });
+
+// Nether
+add('nether_brick', 'furnace', 1, [['netherrack', 1]]);
+add('nether_bricks', 'crafting', 1, [['nether_brick', 4]]);
+family('nether_bricks', 'nether_brick', { wall: true });
+add('nether_brick_fence', 'crafting', 6, [['nether_bricks', 4], ['nether_brick', 2]]);
+add('red_nether_bricks', 'crafting', 1, [['nether_brick', 2], ['nether_wart', 2]]);
+family('red_nether_bricks', 'red_nether_brick', { wall: true });
+family('blackstone', 'blackstone', { wall: true });
+cut('polished_blackstone', 'blackstone');
+family('polished_blackstone', 'polished_blackstone', { wall: true });
+cut('polished_blackstone_bricks', 'polished_blackstone');
+family('polished_blackstone_bricks', 'polished_blackstone_brick', { wall: true });
+add('quartz_block', 'crafting', 1, [['quartz', 4]]);
+family('quartz_block', 'quartz');
+add('smooth_quartz', 'furnace', 1, [['quartz_block', 1]]);
+family('smooth_quartz', 'smooth_quartz');
+cut('quartz_bricks', 'quartz_block');
+add('quartz_pillar', 'crafting', 2, [['quartz_block', 2]]);
+add('quartz_pillar', 'stonecutter', 1, [['quartz_block', 1]]);
+
+// End and ocean
+cut('end_stone_bricks', 'end_stone');
+family('end_stone_bricks', 'end_stone_brick', { wall: true });
+add('popped_chorus_fruit', 'furnace', 1, [['chorus_fruit', 1]]);
+add('purpur_block', 'crafting', 4, [['popped_chorus_fruit', 4]]);
+family('purpur_block', 'purpur');
+add('purpur_pillar', 'crafting', 1, [['purpur_slab', 2]]);
+add('purpur_pillar', 'stonecutter', 1, [['purpur_block', 1]]);
+add('prismarine', 'crafting', 1, [['prismarine_shard', 4]]);
+family('prismarine', 'prismarine', { wall: true });
+add('prismarine_bricks', 'crafting', 1, [['prismarine_shard', 9]]);
+family('prismarine_bricks', 'prismarine_brick');
+add('dark_prismarine', 'crafting', 1, [['prismarine_shard', 8], ['ink_sac', 1]]);
+family('dark_prismarine', 'dark_prismarine');
+add('sea_lantern', 'crafting', 1, [['prismarine_shard', 4], ['prismarine_crystals', 5]]);
+
+// Copper
+add('copper_block', 'crafting', 1, [['copper_ingot', 9]]);
+add('cut_copper', 'crafting', 4, [['copper_block', 4]]);
+add('cut_copper', 'stonecutter', 4, [['copper_block', 1]]);
+family('cut_copper', 'cut_copper');
+
+// Glass and colored blocks
+add('glass', 'furnace', 1, [['sand', 1]]);
+add('glass_pane', 'crafting', 16, [['glass', 6]]);
+add('terracotta', 'furnace', 1, [['clay', 1]]);
+add('candle', 'crafting', 1, [['string', 1], ['honeycomb', 1]]);
+for (const color of COLORS) {
+    const dye = `${color}_dye`;
+    add(`${color}_concrete`, 'water', 1, [[`${color}_concrete_powder`, 1]]);
+    add(`${color}_concrete_powder`, 'crafting', 8, [['sand', 4], ['gravel', 4], [dye, 1]]);
+    add(`${color}_terracotta`, 'crafting', 8, [['terracotta', 8], [dye, 1]]);
+    add(`${color}_glazed_terracotta`, 'furnace', 1, [[`${color}_terracotta`, 1]]);
+    add(`${color}_stained_glass`, 'crafting', 8, [['glass', 8], [dye, 1]]);
+    add(`${color}_stained_glass_pane`, 'crafting', 16, [[`${color}_stained_glass`, 6]]);
+    add(`${color}_carpet`, 'crafting', 3, [[`${color}_wool`, 2]]);
+    add(`${color}_candle`, 'crafting', 1, [['candle', 1], [dye, 1]]);
+}
+
+// Storage blocks and metalwork
+for (const [block, item] of [
+    ['iron_block', 'iron_ingot'], ['gold_block', 'gold_ingot'], ['diamond_block', 'diamond'],
+    ['emerald_block', 'emerald'], ['lapis_block', 'lapis_lazuli'], ['redstone_block', 'redstone'],
+    ['coal_block', 'coal'], ['netherite_block', 'netherite_ingot'], ['hay_block', 'wheat'],
+    ['bone_block', 'bone_meal'], ['slime_block', 'slime_ball'], ['dried_kelp_block', 'dried_kelp'],
+    ['packed_ice', 'ice'], ['blue_ice', 'packed_ice'],
+]) {
+    add(block, 'crafting', 1, [[item, 9]]);
+}
+add('dried_kelp', 'furnace', 1, [['kelp', 1]]);
+add('iron_nugget', 'crafting', 9, [['iron_ingot', 1]]);
+add('iron_bars', 'crafting', 16, [['iron_ingot', 6]]);
+add('iron_door', 'crafting', 3, [['iron_ingot', 6]]);
+add('iron_trapdoor', 'crafting', 1, [['iron_ingot', 4]]);
+add('chain', 'crafting', 1, [['iron_ingot', 1], ['iron_nugget', 2]]);
+add('torch', 'crafting', 4, [['coal', 1], ['stick', 1]]);
+add('soul_torch', 'crafting', 4, [['coal', 1], ['stick', 1], ['soul_sand', 1]]);
+add('lantern', 'crafting', 1, [['iron_nugget', 8], ['torch', 1]]);
+add('soul_lantern', 'crafting', 1, [['iron_nugget', 8], ['soul_torch', 1]]);
+add('ladder', 'crafting', 3, [['stick', 7]]);
+add('furnace', 'crafting', 1, [['cobblestone', 8]]);
+add('glowstone', 'crafting', 1, [['glowstone_dust', 4]]);
+add('honey_block', 'crafting', 1, [['honey_bottle', 4]]);
+add('snow_block', 'crafting', 1, [['snowball', 4]]);
+add('snow', 'crafting', 6, [['snow_block', 3]]);
+
+// ─── Resolution ───
+
+function pickRecipe(itemId, preferStonecutter) {
+    const options = RECIPES.get(itemId);
+    if (!options) return null;
+    if (preferStonecutter) {
+        const cutter = options.find(r => r.station === 'stonecutter');
+        if (cutter) return cutter;
+    }
+    return options.find(r => r.station !== 'stonecutter') ?? options[0];
+}
+
+/**
+ * Expand item counts into raw resources.
+ *
+ * Intermediates are only crafted once all their consumers have been expanded (deepest
+ * recipes first), so batch rounding happens once per item rather than once per use:
+ * 7 oak_stairs + 4 oak_slabs → 2 stair crafts (12 planks) + 1 slab craft (3 planks) → 4 logs.
+ *
+ * @param {Map<string, number>} counts itemId → count
+ * @param {{ preferStonecutter?: boolean }} options
+ * @returns {{ resources: Map<string, number>, surplus: Map<string, number> }}
+ *          resources to gather, and leftovers from crafting in whole batches
+ */
+export function resolveRawResources(counts, { preferStonecutter = false } = {}) {
+    const depthCache = new Map();
+    const depth = itemId => {
+        if (depthCache.has(itemId)) return depthCache.get(itemId);
+        depthCache.set(itemId, 0); // guards against cycles
+        const recipe = pickRecipe(itemId, preferStonecutter);
+        let d = 0;
+        if (recipe) {
+            for (const [ingredient] of recipe.ingredients) d = Math.max(d, depth(ingredient) + 1);
+        }
+        depthCache.set(itemId, d);
+        return d;
+    };
+
+    const need = new Map();
+    for (const [itemId, count] of counts) {
+        if (count > 0) need.set(itemId, (need.get(itemId) || 0) + count);
+    }
+    const surplus = new Map();
+
+    for (;;) {
+        let next = null;
+        let nextDepth = 0;
+        for (const itemId of need.keys()) {
+            const d = depth(itemId);
+            if (d > nextDepth) {
+                next = itemId;
+                nextDepth = d;
+            }
+        }
+        if (!next) break;
+
+        const amount = need.get(next);
+        need.delete(next);
+        const recipe = pickRecipe(next, preferStonecutter);
+        const crafts = Math.ceil(amount / recipe.yields);
+        const extra = crafts * recipe.yields - amount;
+        if (extra > 0) surplus.set(next, (surplus.get(next) || 0) + extra);
+        for (const [ingredient, qty] of recipe.ingredients) {
+            need.set(ingredient, (need.get(ingredient) || 0) + crafts * qty);
+        }
+    }
+
+    return { resources: need, surplus };
+}
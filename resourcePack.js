@@ -0,0 +1,122 @@
+/**
+ * resourcePack.js — Read block textures from a Minecraft resource pack .zip, and remember the pack
+ * Only assets/minecraft/textures/block/*.png is extracted. The chosen pack is kept in IndexedDB
+ * so it is applied again on the next visit.
+ */
+import { openStore } from './idbStore.js';
+
+const DB_NAME = 'schematic-viewer-resource-pack';
+const STORE = 'packs';
+const ACTIVE_KEY = 'active';
+
+/** Block textures, also inside a top-level folder (packs zipped with their folder) */
+const BLOCK_TEXTURE_PATH = /(?:^|\/)assets\/minecraft\/textures\/block\/([^/]+\.png)$/i;
+
+/**
+ * @typedef {Object} ResourcePack
+ * @property {string} name                - File name without .zip
+ * @property {Map<string, Blob>} textures - filename (e.g. "oak_log.png") → PNG
+ * @property {string[]} skipped           - Block textures in the .zip that couldn't be read, by path
+ */
+
+// ─── ZIP reading ───
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/** Find the end of central directory record, searching back over a trailing comment */
+function findEndOfCentralDirectory(view) {
+    const last = Math.max(0, view.byteLength - 22 - 0xffff);
+    for (let i = view.byteLength - 22; i >= last; i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+    }
+    return -1;
+}
+
+/** Decompress one entry's data (stored or deflated) into a Blob */
+async function inflateEntry(data, method, type) {
+    if (method === 0) return new Blob([data], { type });
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    const bytes = await new Response(stream).arrayBuffer();
+    return new Blob([bytes], { type });
+}
+
+/**
+ * Read a resource pack .zip. Throws with a user-facing message when the file isn't a readable
+ * pack or has no block textures.
+ * @param {File} file
+ * @returns {Promise<ResourcePack>}
+ */
+export async function readResourcePack(file) {
+    const buffer = await file.arrayBuffer();
+    const view = new DataView(buffer);
+    const eocd = findEndOfCentralDirectory(view);
+    if (eocd === -1) throw new Error(`"${file.name}" is not a .zip file.`);
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+        throw new Error('ZIP64 archives are not supported: re-zip the resource pack with standard settings.');
+    }
+
+    const decoder = new TextDecoder();
+    const textures = new Map();
+    const skipped = [];
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) throw new Error(`"${file.name}" is damaged.`);
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localOffset = view.getUint32(offset + 42, true);
+        const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        const match = BLOCK_TEXTURE_PATH.exec(path);
+        if (!match) continue;
+        // Encrypted entries and exotic compression methods are skipped: the bundled texture is used
+        if (flags & 1 || (method !== 0 && method !== 8)) {
+            skipped.push(path);
+            continue;
+        }
+        if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) throw new Error(`"${file.name}" is damaged.`);
+        // The local header's name / extra lengths can differ from the central directory's
+        const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+        const data = new Uint8Array(buffer, dataStart, compressedSize);
+        try {
+            textures.set(match[1].toLowerCase(), await inflateEntry(data, method, 'image/png'));
+        } catch {
+            skipped.push(path);
+        }
+    }
+
+    if (textures.size === 0) {
+        throw new Error(`"${file.name}" has no block textures (assets/minecraft/textures/block/*.png). ` +
+            'Packs for Minecraft 1.12 and older use other texture names and are not supported.');
+    }
+    return { name: file.name.replace(/\.zip$/i, ''), textures, skipped };
+}
+
+// ─── Persistence ───
+
+/** Run a single request against the pack store and resolve with its result */
+const withStore = openStore(DB_NAME, STORE);
+
+/** Remember the pack to apply on the next visit */
+export function saveResourcePack(pack) {
+    return withStore('readwrite', store => store.put({ name: pack.name, textures: pack.textures, skipped: pack.skipped }, ACTIVE_KEY));
+}
+
+/** @returns {Promise<ResourcePack|null>} the remembered pack, or null when the bundled textures are used */
+export async function loadSavedResourcePack() {
+    const pack = await withStore('readonly', store => store.get(ACTIVE_KEY));
+    return pack ? { skipped: [], ...pack } : null;
+}
+
+/** Go back to the bundled textures on the next visit */
+export function clearSavedResourcePack() {
+    return withStore('readwrite', store => store.delete(ACTIVE_KEY));
+}
@@ -0,0 +1,174 @@
+/**
+ * shapes.js — Block shape library for the 3D view
+ * Maps a block state to the boxes it is made of (slabs, stairs, fences, panes, walls, carpets,
+ * trapdoors, doors, torches…), in pixels (0–16) inside the block. Full cubes have no shape.
+ */
+import { getBaseBlockId, getBlockProperties } from './blockColors.js';
+
+const HORIZONTAL = ['north', 'east', 'south', 'west'];
+
+// ─── Helpers ───
+
+/** Quadrant box of height y0–y1 on the side of two horizontal directions, e.g. north + west */
+function quadrant(dirA, dirB, y0, y1) {
+    const dirs = [dirA, dirB];
+    const x0 = dirs.includes('east') ? 8 : 0;
+    const z0 = dirs.includes('south') ? 8 : 0;
+    return [x0, y0, z0, x0 + 8, y1, z0 + 8];
+}
+
+const LEFT_OF = { north: 'west', west: 'south', south: 'east', east: 'north' };
+const OPPOSITE = { north: 'south', south: 'north', east: 'west', west: 'east' };
+
+/**
+ * An arm from the block centre to one side: `half` is the arm's half-width around the centre,
+ * e.g. arm('north', 1, 6, 9) → [7, 6, 0, 9, 9, 8]
+ */
+function arm(dir, half, y0, y1) {
+    switch (dir) {
+        case 'north': return [8 - half, y0, 0, 8 + half, y1, 8];
+        case 'south': return [8 - half, y0, 8, 8 + half, y1, 16];
+        case 'west': return [0, y0, 8 - half, 8, y1, 8 + half];
+        default: return [8, y0, 8 - half, 16, y1, 8 + half];
+    }
+}
+
+/** Thin panel against one side of the block, e.g. a closed door or an open trapdoor */
+function panel(side, thickness) {
+    switch (side) {
+        case 'north': return [0, 0, 0, 16, 16, thickness];
+        case 'south': return [0, 0, 16 - thickness, 16, 16, 16];
+        case 'west': return [0, 0, 0, thickness, 16, 16];
+        default: return [16 - thickness, 0, 0, 16, 16, 16];
+    }
+}
+
+// ─── Shapes ───
+
+function stairsShape(props) {
+    const facing = HORIZONTAL.includes(props.facing) ? props.facing : 'north';
+    const top = props.half === 'top';
+    const [baseY0, baseY1, stepY0, stepY1] = top ? [8, 16, 0, 8] : [0, 8, 8, 16];
+
+    const left = LEFT_OF[facing];
+    const right = OPPOSITE[left];
+    const back = OPPOSITE[facing];
+    const steps = {
+        straight: [[facing, left], [facing, right]],
+        outer_left: [[facing, left]],
+        outer_right: [[facing, right]],
+        inner_left: [[facing, left], [facing, right], [back, left]],
+        inner_right: [[facing, left], [facing, right], [back, right]],
+    }[props.shape] ?? [[facing, left], [facing, right]];
+
+    return [
+        [0, baseY0, 0, 16, baseY1, 16],
+        ...steps.map(([a, b]) => quadrant(a, b, stepY0, stepY1)),
+    ];
+}
+
+function fenceShape(props) {
+    const boxes = [[6, 0, 6, 10, 16, 10]];
+    for (const dir of HORIZONTAL) {
+        if (props[dir] !== 'true') continue;
+        boxes.push(arm(dir, 1, 12, 15), arm(dir, 1, 6, 9));
+    }
+    return boxes;
+}
+
+function paneShape(props) {
+    const boxes = [[7, 0, 7, 9, 16, 9]];
+    for (const dir of HORIZONTAL) {
+        if (props[dir] === 'true') boxes.push(arm(dir, 1, 0, 16));
+    }
+    return boxes;
+}
+
+function wallShape(props) {
+    const boxes = [];
+    // Pre-1.16 walls have no "up" and always show their post
+    if (props.up !== 'false') boxes.push([4, 0, 4, 12, 16, 12]);
+    for (const dir of HORIZONTAL) {
+        const side = props[dir];
+        if (side === 'low' || side === 'true') boxes.push(arm(dir, 3, 0, 14));
+        else if (side === 'tall') boxes.push(arm(dir, 3, 0, 16));
+    }
+    return boxes;
+}
+
+function fenceGateShape(props) {
+    const alongX = props.facing === 'north' || props.facing === 'south';
+    const posts = alongX
+        ? [[0, 5, 7, 2, 16, 9], [14, 5, 7, 16, 16, 9]]
+        : [[7, 5, 0, 9, 16, 2], [7, 5, 14, 9, 16, 16]];
+    if (props.open === 'true') return posts;
+    return [...posts, alongX ? [2, 6, 7, 14, 15, 9] : [7, 6, 2, 9, 15, 14]];
+}
+
+function doorShape(props) {
+    const facing = HORIZONTAL.includes(props.facing) ? props.facing : 'north';
+    // Closed doors sit on the side away from their facing; open ones swing to the hinge side
+    if (props.open !== 'true') return [panel(OPPOSITE[facing], 3)];
+    const side = props.hinge === 'right' ? OPPOSITE[LEFT_OF[facing]] : LEFT_OF[facing];
+    return [panel(side, 3)];
+}
+
+function trapdoorShape(props) {
+    if (props.open === 'true') {
+        const facing = HORIZONTAL.includes(props.facing) ? props.facing : 'north';
+        return [panel(OPPOSITE[facing], 3)];
+    }
+    return [props.half === 'top' ? [0, 13, 0, 16, 16, 16] : [0, 0, 0, 16, 3, 16]];
+}
+
+function wallTorchShape(props) {
+    switch (props.facing) {
+        case 'south': return [[7, 3, 0, 9, 13, 5]];
+        case 'west': return [[11, 3, 7, 16, 13, 9]];
+        case 'east': return [[0, 3, 7, 5, 13, 9]];
+        default: return [[7, 3, 11, 9, 13, 16]];
+    }
+}
+
+/** Block state → boxes in pixels, or null for a full cube */
+function resolveShape(blockState) {
+    const baseId = getBaseBlockId(blockState);
+    const props = getBlockProperties(blockState);
+
+    if (baseId.endsWith('_slab')) {
+        if (props.type === 'top') return [[0, 8, 0, 16, 16, 16]];
+        if (props.type === 'double') return null;
+        return [[0, 0, 0, 16, 8, 16]];
+    }
+    if (baseId.endsWith('_stairs')) return stairsShape(props);
+    if (baseId.endsWith('_fence_gate')) return fenceGateShape(props);
+    if (baseId.endsWith('_fence')) return fenceShape(props);
+    if (baseId.endsWith('glass_pane') || baseId === 'iron_bars') return paneShape(props);
+    if (baseId.endsWith('_wall')) return wallShape(props);
+    if (baseId.endsWith('_carpet')) return [[0, 0, 0, 16, 1, 16]];
+    if (baseId.endsWith('_trapdoor')) return trapdoorShape(props);
+    if (baseId.endsWith('_door')) return doorShape(props);
+    if (baseId.endsWith('_pressure_plate')) return [[1, 0, 1, 15, 1, 15]];
+    if (baseId.endsWith('wall_torch')) return wallTorchShape(props);
+    if (baseId.endsWith('torch')) return [[7, 0, 7, 9, 10, 9]];
+    if (baseId === 'snow') {
+        const layers = Math.min(8, Math.max(1, Number(props.layers) || 1));
+        return layers === 8 ? null : [[0, 0, 0, 16, layers * 2, 16]];
+    }
+    return null;
+}
+
+const shapeCache = new Map();
+
+/**
+ * The shape of a block state for 3D rendering.
+ * @returns {{ key: string, boxes: number[][] } | null} boxes as [x0, y0, z0, x1, y1, z1] in
+ *          pixels (0–16); key is shared by every state with the same boxes. null = full cube.
+ */
+export function getBlockShape(blockState) {
+    if (shapeCache.has(blockState)) return shapeCache.get(blockState);
+    const boxes = resolveShape(blockState);
+    const shape = boxes ? { key: boxes.map(b => b.join(',')).join(';'), boxes } : null;
+    shapeCache.set(blockState, shape);
+    return shape;
+}
@@ -0,0 +1,7 @@
+/**
+ * cdnImports.js — Run the browser modules under Node: their CDN imports
+ * (https://cdn.jsdelivr.net/npm/<package>@<version>/+esm) resolve to the installed package
+ */
+import { register } from 'node:module';
+
+register('./cdnResolve.js', import.meta.url);
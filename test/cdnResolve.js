@@ -0,0 +1,9 @@
+/**
+ * cdnResolve.js — Module resolve hook registered by cdnImports.js
+ */
+const CDN_MODULE = /^https:\/\/cdn\.jsdelivr\.net\/npm\/((?:@[^/]+\/)?[^@/]+)@[^/]+\/\+esm$/;
+
+export function resolve(specifier, context, nextResolve) {
+    const match = CDN_MODULE.exec(specifier);
+    return nextResolve(match ? match[1] : specifier, context);
+}
@@ -0,0 +1,81 @@
+/**
+ * exporter.test.js — Exported files read back with the same blocks and origin
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { read } from 'nbtify';
+import { parseLitematic, parseSchem, parseStructureNbt, schematicFromData } from '../parser.js';
+import { exportSchematic } from '../exporter.js';
+
+const PARSERS = {
+    'schem-v3': parseSchem,
+    'schem-v2': parseSchem,
+    'litematic': parseLitematic,
+    'nbt': parseStructureNbt,
+};
+
+/** A 3 × 2 × 4 build with a few states, placed at a negative X like a real world position */
+function createSample() {
+    const paletteList = ['minecraft:air', 'minecraft:stone', 'minecraft:oak_stairs[facing=east,half=bottom,shape=straight]'];
+    const blockIndices = new Uint16Array(3 * 2 * 4).map((_, i) => i % 3);
+    return schematicFromData({
+        width: 3, height: 2, length: 4, name: 'Sample', format: 'Test', dataVersion: 3955,
+        origin: { x: -120, y: 64, z: 35 },
+        paletteList, blockIndices,
+        totalNonAir: blockIndices.filter(idx => idx !== 0).length,
+    });
+}
+
+for (const [formatId, parse] of Object.entries(PARSERS)) {
+    test(`${formatId} export reads back the same build`, async () => {
+        const sample = createSample();
+        const parsed = parse((await read(await exportSchematic(sample, formatId))).data);
+
+        assert.deepEqual([parsed.width, parsed.height, parsed.length].map(Number), [3, 2, 4]);
+        for (let y = 0; y < 2; y++) {
+            for (let z = 0; z < 4; z++) {
+                for (let x = 0; x < 3; x++) assert.equal(parsed.getBlock(x, y, z), sample.getBlock(x, y, z));
+            }
+        }
+        // Structure files have no place for the origin, litematics only store relative positions
+        assert.deepEqual(parsed.origin ?? null, formatId === 'nbt' || formatId === 'litematic' ? null : sample.origin);
+    });
+}
+
+test('litematic export keeps world coordinates out of the region position', async () => {
+    const { Regions } = (await read(await exportSchematic(createSample(), 'litematic'))).data;
+    const { Position } = Object.values(Regions)[0];
+    assert.deepEqual([Position.x, Position.y, Position.z].map(Number), [0, 0, 0]);
+});
+
+/** A width × 1 × length build cycling through paletteLength states (air included) */
+function createStrip(width, length, paletteLength) {
+    const paletteList = Array.from({ length: paletteLength }, (_, i) => (i === 0 ? 'minecraft:air' : `minecraft:block_${i}`));
+    const blockIndices = new Uint16Array(width * length).map((_, i) => (i * 7 + 1) % paletteLength);
+    return schematicFromData({
+        width, height: 1, length, name: 'Strip', format: 'Test', dataVersion: 3955, origin: null,
+        paletteList, blockIndices,
+        totalNonAir: blockIndices.filter(idx => idx !== 0).length,
+    });
+}
+
+async function assertLitematicRoundTrip(sample) {
+    const parsed = parseLitematic((await read(await exportSchematic(sample, 'litematic'))).data);
+    for (let z = 0; z < sample.length; z++) {
+        for (let x = 0; x < sample.width; x++) {
+            assert.equal(parsed.getBlock(x, 0, z), sample.getBlock(x, 0, z),
+                `${sample.width}×1×${sample.length}, ${sample.paletteList.length} states, block ${x},${z}`);
+        }
+    }
+}
+
+test('litematic export reads back when both block state layouts need as many longs', async () => {
+    // 3 bits per entry: 22 entries take 2 longs either way, and entry 21 crosses a long when spanning
+    await assertLitematicRoundTrip(createStrip(22, 1, 5));
+});
+
+test('litematic export reads back at every size and bit width', async () => {
+    for (const paletteLength of [3, 5, 9, 17, 33, 65, 129, 600]) {
+        for (let width = 1; width <= 70; width++) await assertLitematicRoundTrip(createStrip(width, 1, paletteLength));
+    }
+});
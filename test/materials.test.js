@@ -0,0 +1,18 @@
+/**
+ * materials.test.js — Materials list exports
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { materialsToCSV } from '../materials.js';
+
+test('CSV keeps formula-like names as text', () => {
+    const csv = materialsToCSV([
+        { itemId: 'stone', name: '=HYPERLINK("http://example.com")', count: 3 },
+        { itemId: 'dirt', name: '@SUM(A1)', count: 1 },
+        { itemId: 'sand', name: 'Sand, red', count: 2 },
+    ]);
+    const [, stone, dirt, sand] = csv.trim().split('\n');
+    assert.equal(stone.split(',')[1], '"\'=HYPERLINK(""http://example.com"")"');
+    assert.ok(dirt.startsWith('minecraft:dirt,"\'@SUM(A1)",1,'));
+    assert.ok(sand.startsWith('minecraft:sand,"Sand, red",2,'));
+});
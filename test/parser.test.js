@@ -0,0 +1,117 @@
+/**
+ * parser.test.js — Litematica block state unpacking, checked against the other formats and
+ * against the original BigInt implementation
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { read } from 'nbtify';
+import { parseLitematic, parseSchem } from '../parser.js';
+
+const SAMPLES = new URL('../herast-schem/', import.meta.url);
+
+async function readSample(name) {
+    return (await read(await readFile(new URL(name, SAMPLES)))).data;
+}
+
+/** The BigInt unpacking the 32-bit version replaced, kept as the reference */
+function unpackWithBigInt(blockStatesLong, paletteLength, totalBlocks) {
+    const bitsPerEntry = Math.max(2, Math.ceil(Math.log2(paletteLength)));
+    const entriesPerLong = Math.floor(64 / bitsPerEntry);
+    const mask = (1n << BigInt(bitsPerEntry)) - 1n;
+    const blockIndices = new Int32Array(totalBlocks);
+
+    const expectedSpanning = Math.ceil((totalBlocks * bitsPerEntry) / 64);
+    const expectedNonSpanning = Math.ceil(totalBlocks / entriesPerLong);
+    const isSpanning = blockStatesLong.length === expectedSpanning && expectedSpanning !== expectedNonSpanning;
+    const long = i => BigInt.asUintN(64, BigInt(blockStatesLong[i] ?? 0n));
+
+    for (let i = 0; i < totalBlocks; i++) {
+        if (isSpanning) {
+            const startBit = i * bitsPerEntry;
+            const startIndex = Math.floor(startBit / 64);
+            const offset = BigInt(startBit % 64);
+            let value = long(startIndex) >> offset;
+            if (Math.floor((startBit + bitsPerEntry - 1) / 64) !== startIndex) value |= long(startIndex + 1) << (64n - offset);
+            blockIndices[i] = Number(value & mask);
+        } else {
+            const offset = BigInt((i % entriesPerLong) * bitsPerEntry);
+            blockIndices[i] = Number((long(Math.floor(i / entriesPerLong)) >> offset) & mask);
+        }
+    }
+    return blockIndices;
+}
+
+/** Random signed 64-bit values, as nbtify reads TAG_Long_Array */
+function randomLongs(count, random) {
+    const longs = new BigInt64Array(count);
+    for (let i = 0; i < count; i++) {
+        const high = BigInt(Math.floor(random() * 2 ** 32));
+        const low = BigInt(Math.floor(random() * 2 ** 32));
+        longs[i] = BigInt.asIntN(64, (high << 32n) | low);
+    }
+    return longs;
+}
+
+/** Small seeded PRNG (mulberry32), so failures reproduce */
+function seededRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 2 ** 32;
+    };
+}
+
+test('HeraSt127.litematic has the same blocks as HeraSt127.schem', async () => {
+    const schem = parseSchem(await readSample('HeraSt127.schem'));
+    const litematic = parseLitematic(await readSample('HeraSt127.litematic'));
+
+    assert.deepEqual(
+        [litematic.width, litematic.height, litematic.length],
+        [schem.width, schem.height, schem.length].map(Number));
+    assert.equal(litematic.totalNonAir, schem.totalNonAir);
+
+    let differences = 0;
+    for (let y = 0; y < schem.height; y++) {
+        for (let z = 0; z < schem.length; z++) {
+            for (let x = 0; x < schem.width; x++) {
+                if (litematic.getBlock(x, y, z) !== schem.getBlock(x, y, z)) differences++;
+            }
+        }
+    }
+    assert.equal(differences, 0);
+});
+
+test('block states unpack like the BigInt implementation', () => {
+    const random = seededRandom(127);
+    // Palettes of 2^bits entries, so every packed value is a valid index
+    for (const bits of [2, 3, 5, 6, 7, 9, 11, 13, 17]) {
+        const paletteLength = 2 ** bits;
+        const BlockStatePalette = Array.from({ length: paletteLength }, (_, i) =>
+            ({ Name: i === 0 ? 'minecraft:air' : `minecraft:block_${i}` }));
+
+        for (let run = 0; run < 40; run++) {
+            const width = 1 + Math.floor(random() * 9);
+            const height = 1 + Math.floor(random() * 4);
+            const length = 1 + Math.floor(random() * 9);
+            const totalBlocks = width * height * length;
+            const entriesPerLong = Math.floor(64 / bits);
+            // Either layout's length, which are the same for some sizes
+            const longCount = run % 2
+                ? Math.ceil((totalBlocks * bits) / 64)
+                : Math.ceil(totalBlocks / entriesPerLong);
+            const BlockStates = randomLongs(longCount, random);
+
+            const parsed = parseLitematic({
+                Regions: { Main: { Position: { x: 0, y: 0, z: 0 }, Size: { x: width, y: height, z: length }, BlockStatePalette, BlockStates } },
+            });
+            const expected = unpackWithBigInt(BlockStates, paletteLength, totalBlocks);
+            for (let i = 0; i < totalBlocks; i++) {
+                const x = i % width, z = Math.floor(i / width) % length, y = Math.floor(i / (width * length));
+                assert.equal(parsed.getBlock(x, y, z), BlockStatePalette[expected[i]].Name,
+                    `${bits} bits, ${width}×${height}×${length}, block ${i}`);
+            }
+        }
+    }
+});
@@ -0,0 +1,224 @@
+/**
+ * transform.js — Rotate (around Y) and mirror a loaded schematic
+ * Block positions are remapped and direction-bearing block state properties (facing, axis,
+ * rotation, stair/rail shapes, fence-style connections, hinges…) rewritten to match.
+ * Transforms mirror first, then rotate clockwise seen from above, like Minecraft structures.
+ */
+import { schematicFromData } from './parser.js';
+
+/**
+ * @typedef {Object} Transform
+ * @property {0|90|180|270} rotation - Clockwise degrees around Y, seen from above
+ * @property {boolean} mirrorX - Flip along X (east ↔ west)
+ * @property {boolean} mirrorZ - Flip along Z (north ↔ south)
+ */
+
+export const IDENTITY_TRANSFORM = Object.freeze({ rotation: 0, mirrorX: false, mirrorZ: false });
+
+export function isIdentityTransform(t) {
+    return t.rotation === 0 && !t.mirrorX && !t.mirrorZ;
+}
+
+/** Human-readable summary, e.g. "Rotated 90° · mirrored X" */
+export function describeTransform(t) {
+    const parts = [];
+    if (t.rotation) parts.push(`Rotated ${t.rotation}°`);
+    const mirrored = [t.mirrorX && 'X', t.mirrorZ && 'Z'].filter(Boolean);
+    if (mirrored.length) parts.push(`mirrored ${mirrored.join(' + ')}`);
+    return parts.length ? parts.join(' · ') : 'Original orientation';
+}
+
+// ─── Directions ───
+
+const CLOCKWISE = { north: 'east', east: 'south', south: 'west', west: 'north' };
+const MIRROR_X = { east: 'west', west: 'east' };
+const MIRROR_Z = { north: 'south', south: 'north' };
+const HORIZONTAL = ['north', 'east', 'south', 'west'];
+
+function transformDirection(dir, t) {
+    if (!HORIZONTAL.includes(dir)) return dir; // up / down and anything unknown stay put
+    if (t.mirrorX) dir = MIRROR_X[dir] ?? dir;
+    if (t.mirrorZ) dir = MIRROR_Z[dir] ?? dir;
+    for (let r = 0; r < t.rotation; r += 90) dir = CLOCKWISE[dir];
+    return dir;
+}
+
+/** A single mirror flips handedness (left ↔ right); two mirrors or none keep it */
+function flipsHandedness(t) {
+    return t.mirrorX !== t.mirrorZ;
+}
+
+// ─── Block state properties ───
+
+const SWAP_SIDE = { left: 'right', right: 'left' };
+
+/** Rail shapes: "north_south", "ascending_east", "south_east"… with curves written north/south first */
+function transformRailShape(shape, t) {
+    const ascending = shape.startsWith('ascending_');
+    const dirs = (ascending ? shape.slice('ascending_'.length) : shape).split('_').map(d => transformDirection(d, t));
+    if (ascending) return `ascending_${dirs[0]}`;
+    if (dirs.length !== 2) return shape;
+    if (dirs.includes('east') && dirs.includes('west')) return 'east_west';
+    if (dirs.includes('north') && dirs.includes('south')) return 'north_south';
+    const vertical = dirs.find(d => d === 'north' || d === 'south');
+    const horizontal = dirs.find(d => d === 'east' || d === 'west');
+    return `${vertical}_${horizontal}`;
+}
+
+/**
+ * Rewrite one property of a block for a transform.
+ * @returns {[string, string]} the [key, value] to use instead (connections change key)
+ */
+function transformProperty(baseId, key, value, t) {
+    if (HORIZONTAL.includes(key)) {
+        // Fence / pane / wall / redstone / vine style connections: the key is the direction
+        return [transformDirection(key, t), value];
+    }
+    switch (key) {
+        case 'facing':
+        case 'horizontal_facing':
+            return [key, transformDirection(value, t)];
+        case 'axis':
+            return [key, t.rotation % 180 === 90 && (value === 'x' || value === 'z') ? (value === 'x' ? 'z' : 'x') : value];
+        case 'rotation': {
+            // 16 steps clockwise from south: 0 = south, 4 = west, 8 = north, 12 = east
+            let r = Number(value);
+            if (!Number.isInteger(r)) return [key, value];
+            if (t.mirrorX) r = 16 - r;
+            if (t.mirrorZ) r = 8 - r;
+            r += (t.rotation / 90) * 4;
+            return [key, String(((r % 16) + 16) % 16)];
+        }
+        case 'shape':
+            if (baseId.endsWith('rail')) return [key, transformRailShape(value, t)];
+            if (baseId.endsWith('_stairs') && flipsHandedness(t)) {
+                return [key, value.replace(/left|right/, side => SWAP_SIDE[side])];
+            }
+            return [key, value];
+        case 'hinge':
+            return [key, flipsHandedness(t) ? SWAP_SIDE[value] ?? value : value];
+        case 'type':
+            // Double chests: which half is which depends on handedness
+            return [key, baseId.endsWith('chest') && flipsHandedness(t) ? SWAP_SIDE[value] ?? value : value];
+        case 'orientation': {
+            // Jigsaws / crafters: "<front>_<top>", e.g. "north_up"
+            const [front, top] = value.split('_');
+            return [key, `${transformDirection(front, t)}_${transformDirection(top, t)}`];
+        }
+        default:
+            return [key, value];
+    }
+}
+
+/**
+ * Rewrite a block state for a transform.
+ * e.g. rotation 90: "minecraft:oak_stairs[facing=north,half=bottom,shape=straight]"
+ *                 → "minecraft:oak_stairs[facing=east,half=bottom,shape=straight]"
+ */
+export function transformBlockState(blockState, t) {
+    if (!blockState || isIdentityTransform(t)) return blockState;
+    const bracket = blockState.indexOf('[');
+    if (bracket === -1) return blockState;
+
+    const name = blockState.slice(0, bracket);
+    const baseId = name.toLowerCase().replace('minecraft:', '');
+    const pairs = blockState.slice(bracket + 1, -1).split(',').map(pair => {
+        const [key, value] = pair.split('=');
+        return transformProperty(baseId, key, value, t).join('=');
+    });
+    // Keep properties sorted by key, as Minecraft writes them
+    pairs.sort();
+    return `${name}[${pairs.join(',')}]`;
+}
+
+// ─── Positions ───
+
+/**
+ * Map an (x, z) column of a width × length footprint through a transform.
+ * @returns {{ x: number, z: number, width: number, length: number }} position and new footprint
+ */
+export function transformColumn(x, z, width, length, t) {
+    if (t.mirrorX) x = width - 1 - x;
+    if (t.mirrorZ) z = length - 1 - z;
+    for (let r = 0; r < t.rotation; r += 90) {
+        // Clockwise seen from above: north (−Z) turns east (+X)
+        [x, z, width, length] = [length - 1 - z, x, length, width];
+    }
+    return { x, z, width, length };
+}
+
+/** Inverse of transformColumn: (x, z) in the transformed footprint → source column */
+export function inverseTransformColumn(x, z, width, length, t) {
+    // width / length are the source footprint
+    const rotated = t.rotation % 180 === 90;
+    let w = rotated ? length : width;
+    let l = rotated ? width : length;
+    for (let r = 0; r < t.rotation; r += 90) {
+        // Counter-clockwise undoes one clockwise step
+        [x, z, w, l] = [z, w - 1 - x, l, w];
+    }
+    if (t.mirrorX) x = width - 1 - x;
+    if (t.mirrorZ) z = length - 1 - z;
+    return { x, z };
+}
+
+/**
+ * Build the transformed view of a loaded schematic. The result is a regular Schematic (see
+ * schematicFromData) whose blocks, palette and regions are already rotated / mirrored, with
+ * `source` pointing at the original. The identity transform returns the schematic itself.
+ * @param {import('./parser.js').Schematic} schematic - As returned by schematicFromData
+ * @param {Transform} t
+ */
+export function transformSchematic(schematic, t) {
+    if (isIdentityTransform(t)) return schematic;
+
+    const { width, height, length, blockIndices, regionMap } = schematic;
+    const { width: newWidth, length: newLength } = transformColumn(0, 0, width, length, t);
+    const layerSize = width * length;
+
+    // Where each source column lands, shared by every layer
+    const columnTarget = new Uint32Array(layerSize);
+    for (let z = 0; z < length; z++) {
+        for (let x = 0; x < width; x++) {
+            const p = transformColumn(x, z, width, length, t);
+            columnTarget[x + z * width] = p.x + p.z * newWidth;
+        }
+    }
+
+    const newIndices = new blockIndices.constructor(blockIndices.length);
+    const newRegionMap = regionMap ? new regionMap.constructor(regionMap.length) : null;
+    for (let y = 0; y < height; y++) {
+        const base = y * layerSize;
+        for (let i = 0; i < layerSize; i++) {
+            newIndices[base + columnTarget[i]] = blockIndices[base + i];
+            if (newRegionMap) newRegionMap[base + columnTarget[i]] = regionMap[base + i];
+        }
+    }
+
+    const data = {
+        width: newWidth, height, length: newLength,
+        name: schematic.name, format: schematic.format, dataVersion: schematic.dataVersion,
+        origin: schematic.origin,
+        // Transforms are bijective on block states, so palette indices stay valid
+        paletteList: schematic.paletteList.map(bs => transformBlockState(bs, t)),
+        blockIndices: newIndices,
+        totalNonAir: schematic.totalNonAir,
+    };
+    if (newRegionMap) {
+        data.regionMap = newRegionMap;
+        data.regions = schematic.regions.map(r => {
+            const a = transformColumn(r.x, r.z, width, length, t);
+            const b = transformColumn(r.x + r.width - 1, r.z + r.length - 1, width, length, t);
+            return {
+                ...r,
+                x: Math.min(a.x, b.x), z: Math.min(a.z, b.z),
+                width: Math.abs(a.x - b.x) + 1, length: Math.abs(a.z - b.z) + 1,
+            };
+        });
+    }
+
+    const transformed = schematicFromData(data);
+    transformed.source = schematic;
+    transformed.transform = t;
+    return transformed;
+}
@@ -1,14 +1,37 @@
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { getBlockColor, getBaseBlockId, isAir, getTexture } from './blockColors.js';
+import { getBlockColor, getBaseBlockId, isAir, getFaceTextures, getBlockProperties, getImageTextureName } from './blockColors.js';
+import { getBlockShape } from './shapes.js';
 
 let scene, camera, renderer, controls;
 let container, canvas;
 let isInitialized = false;
 
-// Grouping structure for InstancedMeshes
-let blockGroups = new Map(); // hex color string -> array of {x, y, z}
-let instancedMeshes = [];
+// Meshes of the current model: greedy-merged faces of full opaque cubes, plus InstancedMeshes for
+// everything else (partial shapes, glass, leaves…). mesh.userData.layers holds the Y of each
+// vertex (merged) or instance (instanced), for layer highlighting, and mesh.userData.states its
+// block state id, for highlighting the occurrences of a block.
+let meshes = [];
+let sharedMaterials = []; // face materials, shared between meshes
+let geometries = [];
+/** State id (index into the built states, 0 = air) of each palette index of the built model */
+let stateOfIndex = new Uint32Array(0);
+
+// Highlights, re-applied whenever the model is rebuilt
+const highlight = { layer: 0, layerEnabled: false, matches: null };
+// Located blocks stand out warm and bright; everything else is dimmed
+const MATCH_COLOR = [1.2, 1.05, 0.55];
+
+// Meshing works through the build in cubes of this size, yielding to the UI in between
+const CHUNK_SIZE = 32;
+const YIELD_MS = 30;
+
+// BoxGeometry material order: +X, -X, +Y, -Y, +Z, -Z
+const FACE_INDEX = { east: 0, west: 1, up: 2, down: 3, south: 4, north: 5 };
+const OPPOSITE = { east: 'west', west: 'east', up: 'down', down: 'up', south: 'north', north: 'south' };
+
+// Blocks whose top texture points where they face (barrels, pistons), like logs along their axis
+const TOP_FACING_BLOCKS = new Set(['barrel', 'piston', 'sticky_piston']);
 
 export function init3DViewer() {
     if (isInitialized) return;
@@ -81,18 +104,244 @@ export function clear3DModel() {
     if (!isInitialized) return;
 
     // Remove old meshes
-    for (const mesh of instancedMeshes) {
+    for (const mesh of meshes) {
         scene.remove(mesh);
-        mesh.geometry.dispose();
-        mesh.material.dispose();
     }
-    instancedMeshes = [];
-    blockGroups.clear();
+    for (const geometry of geometries) {
+        geometry.dispose();
+    }
+    for (const material of sharedMaterials) {
+        if (material.map) material.map.dispose();
+        material.dispose();
+    }
+    meshes = [];
+    sharedMaterials = [];
+    geometries = [];
+}
+
+// Box faces in BoxGeometry order; uv() matches BoxGeometry's mapping so face textures
+// (and their rotation) line up the same on partial boxes, cropped like in-game
+const BOX_FACES = [
+    { axis: 0, max: true, normal: [1, 0, 0], uv: (x, y, z) => [1 - z, y] },
+    { axis: 0, max: false, normal: [-1, 0, 0], uv: (x, y, z) => [z, y] },
+    { axis: 1, max: true, normal: [0, 1, 0], uv: (x, y, z) => [x, 1 - z] },
+    { axis: 1, max: false, normal: [0, -1, 0], uv: (x, y, z) => [x, z] },
+    { axis: 2, max: true, normal: [0, 0, 1], uv: (x, y, z) => [x, y] },
+    { axis: 2, max: false, normal: [0, 0, -1], uv: (x, y, z) => [1 - x, y] },
+];
+
+/**
+ * Append one face of the box min–max to geometry arrays ({ positions, normals, uvs, indices }),
+ * counter-clockwise seen from outside. UVs come from the face's mapping, so on larger quads
+ * they run past 1 and the (repeat-wrapped) texture tiles once per block.
+ * @returns {number} index of the first of the 4 vertices
+ */
+function pushFace(out, face, min, max, offset) {
+    const [a, b] = [0, 1, 2].filter(axis => axis !== face.axis);
+
+    const corners = [];
+    for (const [ca, cb] of [[min[a], min[b]], [max[a], min[b]], [max[a], max[b]], [min[a], max[b]]]) {
+        const p = [0, 0, 0];
+        p[face.axis] = face.max ? max[face.axis] : min[face.axis];
+        p[a] = ca;
+        p[b] = cb;
+        corners.push({ p, uv: face.uv(p[0], p[1], p[2]) });
+    }
+
+    // Order corners counter-clockwise seen from outside: the uv square's (0,0) (1,0) (1,1) (0,1)
+    const us = corners.map(c => c.uv[0]);
+    const vs = corners.map(c => c.uv[1]);
+    const [u0, u1, v0, v1] = [Math.min(...us), Math.max(...us), Math.min(...vs), Math.max(...vs)];
+    const ordered = [[u0, v0], [u1, v0], [u1, v1], [u0, v1]]
+        .map(([u, v]) => corners.find(c => c.uv[0] === u && c.uv[1] === v));
+
+    const base = out.positions.length / 3;
+    for (const c of ordered) {
+        out.positions.push(c.p[0] + offset[0], c.p[1] + offset[1], c.p[2] + offset[2]);
+        out.normals.push(...face.normal);
+        out.uvs.push(...c.uv);
+    }
+    out.indices.push(base, base + 1, base + 2, base, base + 2, base + 3);
+    return base;
+}
+
+/**
+ * Build one geometry from a shape's boxes (pixels 0–16), centred like BoxGeometry(1, 1, 1)
+ * and with one group per box face so the six face materials still apply.
+ */
+function buildShapeGeometry(boxes) {
+    const out = { positions: [], normals: [], uvs: [], indices: [] };
+    const geometry = new THREE.BufferGeometry();
+
+    BOX_FACES.forEach((face, faceIndex) => {
+        const groupStart = out.indices.length;
+        for (const box of boxes) {
+            const min = box.slice(0, 3).map(v => v / 16);
+            const max = box.slice(3, 6).map(v => v / 16);
+            pushFace(out, face, min, max, [-0.5, -0.5, -0.5]);
+        }
+        geometry.addGroup(groupStart, out.indices.length - groupStart, faceIndex);
+    });
+
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(out.positions, 3));
+    geometry.setAttribute('normal', new THREE.Float32BufferAttribute(out.normals, 3));
+    geometry.setAttribute('uv', new THREE.Float32BufferAttribute(out.uvs, 2));
+    geometry.setIndex(out.indices);
+    return geometry;
+}
+
+/** Geometry for a block shape (null = full cube), shared by every mesh with that shape */
+function getShapeGeometry(shape, geometryCache) {
+    const key = shape ? shape.key : 'full';
+    if (geometryCache.has(key)) return geometryCache.get(key);
+    const geometry = shape ? buildShapeGeometry(shape.boxes) : new THREE.BoxGeometry(1, 1, 1);
+    geometryCache.set(key, geometry);
+    geometries.push(geometry);
+    return geometry;
+}
+
+/**
+ * Place a block's face textures on the six box faces, following axis / facing.
+ * Returns 6 entries of { img, rotated } in BoxGeometry order; rotated side textures
+ * keep the grain of sideways logs running along their axis.
+ */
+function orientFaces(blockState, textures) {
+    const props = getBlockProperties(blockState);
+    const { top, bottom, side, front } = textures;
+    const baseId = getBaseBlockId(blockState);
+
+    let axis = props.axis;
+    let topDir = null;
+    if (TOP_FACING_BLOCKS.has(baseId) && FACE_INDEX[props.facing] !== undefined) {
+        topDir = props.facing;
+        axis = { east: 'x', west: 'x', south: 'z', north: 'z' }[topDir] ?? 'y';
+    }
+
+    const s = { img: side, rotated: false };
+    const r = { img: side, rotated: true };
+    let faces;
+    if (axis === 'x') {
+        faces = [{ img: top }, { img: bottom }, r, r, r, r];
+    } else if (axis === 'z') {
+        faces = [r, r, s, s, { img: top }, { img: bottom }];
+    } else {
+        faces = [s, s, { img: top }, { img: bottom }, s, s];
+    }
+
+    if (topDir) {
+        faces[FACE_INDEX[topDir]] = { img: top };
+        faces[FACE_INDEX[OPPOSITE[topDir]]] = { img: bottom };
+    } else if (front && FACE_INDEX[props.facing] !== undefined) {
+        faces[FACE_INDEX[props.facing]] = { img: front };
+    }
+
+    // Faces without their own texture fall back to any texture the block has
+    const any = top || side || bottom || front;
+    return faces.map(f => ({ img: f.img || any, rotated: !!f.rotated }));
+}
+
+/** Basic transparency support for glass, ice, leaves (by texture filename) */
+function isTransparentTexture(name) {
+    return name.includes('glass') || name.includes('ice') || name.includes('leaves');
+}
+
+/**
+ * Material for one face, shared between every mesh that uses the same texture, rotation and tint.
+ * Merged meshes carry their highlight in vertex colors, instanced ones in instance colors.
+ */
+function getFaceMaterial(face, colorHex, materialCache, vertexColors = false) {
+    const src = face.img ? face.img.src : null;
+    // Resource pack textures have blob: URLs, so name checks use the texture filename
+    const name = face.img ? getImageTextureName(face.img) ?? src : null;
+
+    // Only tint grass/leaves specifically when they have textures (not the dirt-sided grass block side)
+    const tinted = src && colorHex !== '#FF00FF' && !name.includes('grass_block_side') &&
+        (name.includes('leaves') || name.includes('grass') || name.includes('fern') || name.includes('vine'));
+    const key = (src ? `tex:${src}:${face.rotated ? 'r' : ''}:${tinted ? colorHex : ''}` : `color:${colorHex}`) +
+        (vertexColors ? ':vc' : '');
+    if (materialCache.has(key)) return materialCache.get(key);
+
+    const materialOpts = { transparent: false, vertexColors };
+    if (src) {
+        // Create texture instantly from preloaded HTMLImageElement
+        const tex = new THREE.Texture(face.img);
+        tex.minFilter = THREE.NearestFilter;
+        tex.magFilter = THREE.NearestFilter;
+        tex.colorSpace = THREE.SRGBColorSpace;
+        tex.wrapS = THREE.RepeatWrapping; // Merged faces tile the texture once per block
+        tex.wrapT = THREE.RepeatWrapping;
+        if (face.rotated) {
+            tex.center.set(0.5, 0.5);
+            tex.rotation = Math.PI / 2;
+        }
+        tex.needsUpdate = true; // Crucial when passing Image directly
+        materialOpts.map = tex;
+        materialOpts.color = new THREE.Color(tinted ? colorHex : 0xffffff);
+
+        if (isTransparentTexture(name)) {
+            materialOpts.transparent = true;
+            if (!name.includes('leaves') && !name.includes('glass')) {
+                materialOpts.opacity = 0.5;
+            }
+            materialOpts.alphaTest = 0.1; // Fix sorting issues mostly
+        }
+    } else {
+        // Fallback to solid color instantly
+        materialOpts.color = new THREE.Color(colorHex);
+    }
+
+    const material = new THREE.MeshLambertMaterial(materialOpts);
+    materialCache.set(key, material);
+    sharedMaterials.push(material);
+    return material;
+}
+
+/**
+ * How one block state is drawn: its shape, oriented face textures and fallback color.
+ * Full cubes with only opaque faces are "opaque": they hide their neighbours' faces and
+ * are meshed face by face; everything else is instanced.
+ */
+function describeBlock(blockState) {
+    const baseId = getBaseBlockId(blockState);
+
+    // Get fallbacks
+    let colorHex = getBlockColor(blockState);
+    if (baseId && (baseId.includes('leaves') || baseId === 'grass_block' || baseId.includes('grass') || baseId.includes('fern'))) {
+        colorHex = baseId.includes('leaves') ? '#3C701B' : '#5D9B3A';
+    }
+    if (!colorHex) colorHex = '#FF00FF';
+
+    // Use textures ONLY if they were successfully preloaded by the 2D logic
+    const textures = getFaceTextures(blockState);
+    const faces = textures
+        ? orientFaces(blockState, textures).map(f =>
+            f.img && f.img.complete && f.img.naturalWidth > 0 ? f : { img: null, rotated: false })
+        : Array.from({ length: 6 }, () => ({ img: null, rotated: false }));
+
+    // Slabs, stairs, fences… get their own geometry
+    const shape = getBlockShape(blockState);
+    const opaque = !shape && faces.every(f => !f.img || !isTransparentTexture(getImageTextureName(f.img) ?? f.img.src));
+
+    // Create a unique key for grouping instanced blocks
+    const key = faces.map(f => f.img ? `${f.img.src}${f.rotated ? ':r' : ''}` : '-').join('|') +
+        `:tint:${colorHex}:shape:${shape ? shape.key : 'full'}`;
+
+    return { key, shape, faces, colorHex, opaque };
+}
+
+/** Yield to the main thread when the current slice of work has run long enough */
+async function maybeYield(state) {
+    if (performance.now() - state.lastYield < YIELD_MS) return;
+    await new Promise(resolve => setTimeout(resolve, 0));
+    state.lastYield = performance.now();
 }
 
 /**
- * Builds the 3D model using InstancedMesh for performance.
- * Groups identical colored blocks together to minimize draw calls.
+ * Builds the 3D model.
+ * Full opaque cubes are meshed chunk by chunk: faces hidden by a neighbouring opaque cube are
+ * skipped and the rest are greedily merged into larger quads per texture (along X/Z only, so
+ * each quad stays on one layer for highlighting). Other blocks use one InstancedMesh per
+ * look, and are skipped when enclosed on all six sides.
  */
 export async function build3DModelAsync(schematic) {
     if (!isInitialized) init3DViewer();
@@ -103,142 +352,216 @@ export async function build3DModelAsync(schematic) {
     // We yield execution to allow the UI to show the loading spinner
     await new Promise(resolve => setTimeout(resolve, 50));
 
-    const { width, height, length, getBlock } = schematic;
-
-    // 1. First Pass: Group blocks by material (texture or color)
-    let count = 0;
-    const chunkSize = 500000;
-
-    // We group by a unique key: "textureFile:colorHex"
-    const groups = new Map(); // key -> { textureFile, colorHex, positions: [] }
-    const blockStateToKey = new Map(); // Cache map
+    const { width, height, length, paletteList } = schematic;
+    const layerSize = width * length;
+    const yieldState = { lastYield: performance.now() };
+
+    // 1. First Pass: describe each palette entry once and copy the layers into a volume of
+    //    state ids (0 = air; air variants collapse into it)
+    const states = [null];
+    stateOfIndex = new Uint32Array(paletteList.length);
+    paletteList.forEach((blockState, idx) => {
+        stateOfIndex[idx] = isAir(blockState) ? 0 : states.push(describeBlock(blockState)) - 1;
+    });
+    const volume = states.length > 0xFFFF
+        ? new Uint32Array(width * height * length)
+        : new Uint16Array(width * height * length);
 
     for (let y = 0; y < height; y++) {
-        for (let z = 0; z < length; z++) {
-            for (let x = 0; x < width; x++) {
-                const blockState = getBlock(x, y, z);
-
-                let groupKey = blockStateToKey.get(blockState);
-                if (groupKey === undefined) {
-                    if (isAir(blockState)) {
-                        groupKey = null;
-                    } else {
-                        const baseId = getBaseBlockId(blockState);
-
-                        // Get fallbacks
-                        let colorHex = getBlockColor(blockState);
-                        if (baseId && (baseId.includes('leaves') || baseId === 'grass_block' || baseId.includes('grass') || baseId.includes('fern'))) {
-                            colorHex = baseId.includes('leaves') ? '#3C701B' : '#5D9B3A';
-                        }
-                        if (!colorHex) colorHex = '#FF00FF';
-
-                        // Use texture ONLY if it was successfully preloaded by the 2D logic
-                        const texImg = getTexture(blockState);
-                        let textureSrc = null;
-                        let validImg = null;
-                        if (texImg && texImg.complete && texImg.naturalWidth > 0 && texImg.src) {
-                            textureSrc = texImg.src;
-                            validImg = texImg;
-                        }
-
-                        // Create a unique key for grouping
-                        groupKey = textureSrc ? `tex:${textureSrc}:tint:${colorHex}` : `color:${colorHex}`;
+        const layer = schematic.getLayer(y);
+        const base = y * layerSize;
+        for (let j = 0; j < layerSize; j++) volume[base + j] = stateOfIndex[layer[j]];
+        await maybeYield(yieldState);
+    }
 
-                        if (!groups.has(groupKey)) {
-                            groups.set(groupKey, { textureSrc, validImg, colorHex, positions: [] });
+    const opaque = new Uint8Array(states.length);
+    for (let id = 1; id < states.length; id++) opaque[id] = states[id].opaque ? 1 : 0;
+    const isOpaqueAt = (x, y, z) =>
+        x >= 0 && y >= 0 && z >= 0 && x < width && y < height && z < length &&
+        opaque[volume[x + z * width + y * layerSize]] === 1;
+
+    // Merged-face materials: one id per distinct face look, and one vertex buffer per material
+    const materialCache = new Map();
+    const mergedMaterials = [];
+    const faceMaterialIds = new Int32Array(states.length * 6);
+    for (let id = 1; id < states.length; id++) {
+        if (!opaque[id]) continue;
+        const { faces, colorHex } = states[id];
+        for (let f = 0; f < 6; f++) {
+            const material = getFaceMaterial(faces[f], colorHex, materialCache, true);
+            let matId = mergedMaterials.indexOf(material);
+            if (matId === -1) matId = mergedMaterials.push(material) - 1;
+            faceMaterialIds[id * 6 + f] = matId;
+        }
+    }
+    const buffers = mergedMaterials.map(() => ({ positions: [], normals: [], uvs: [], indices: [], layers: [], states: [] }));
+    const offset = [-width / 2, -0.5, -length / 2]; // Center the entire structure around 0,0,0
+
+    const instanceGroups = new Map(); // state key -> { state, cells: [x, y, z, …], ids: [state id, …] }
+
+    // 2. Second Pass: mesh chunk by chunk
+    const dims = [width, height, length];
+    const mask = new Int32Array(CHUNK_SIZE * CHUNK_SIZE);
+    for (let cy = 0; cy < height; cy += CHUNK_SIZE) {
+        for (let cz = 0; cz < length; cz += CHUNK_SIZE) {
+            for (let cx = 0; cx < width; cx += CHUNK_SIZE) {
+                const lo = [cx, cy, cz];
+                const hi = [0, 1, 2].map(axis => Math.min(lo[axis] + CHUNK_SIZE, dims[axis]));
+
+                // Non-opaque blocks: instanced, unless enclosed by opaque cubes on every side
+                for (let y = lo[1]; y < hi[1]; y++) {
+                    for (let z = lo[2]; z < hi[2]; z++) {
+                        for (let x = lo[0]; x < hi[0]; x++) {
+                            const id = volume[x + z * width + y * layerSize];
+                            if (id === 0 || opaque[id]) continue;
+                            if (isOpaqueAt(x + 1, y, z) && isOpaqueAt(x - 1, y, z) && isOpaqueAt(x, y + 1, z) &&
+                                isOpaqueAt(x, y - 1, z) && isOpaqueAt(x, y, z + 1) && isOpaqueAt(x, y, z - 1)) continue;
+                            const state = states[id];
+                            let group = instanceGroups.get(state.key);
+                            if (!group) {
+                                group = { state, cells: [], ids: [] };
+                                instanceGroups.set(state.key, group);
+                            }
+                            group.cells.push(x, y, z);
+                            group.ids.push(id);
                         }
                     }
-                    blockStateToKey.set(blockState, groupKey);
                 }
 
-                if (groupKey !== null) {
-                    groups.get(groupKey).positions.push({ x, y, z });
-                    count++;
-                    if (count % chunkSize === 0) {
-                        await new Promise(resolve => setTimeout(resolve, 0)); // Yield to main thread
+                // Opaque cubes: exposed faces only, greedily merged per slice
+                for (let f = 0; f < 6; f++) {
+                    const face = BOX_FACES[f];
+                    const n = face.axis;
+                    const step = face.max ? 1 : -1;
+                    // Side faces merge along their horizontal axis only; b is then Y
+                    const [a, b] = n === 1 ? [0, 2] : [n === 0 ? 2 : 0, 1];
+                    const mergeB = n === 1;
+                    const sizeA = hi[a] - lo[a];
+                    const sizeB = hi[b] - lo[b];
+                    const p = [0, 0, 0];
+
+                    for (let k = lo[n]; k < hi[n]; k++) {
+                        p[n] = k;
+                        for (let ib = 0; ib < sizeB; ib++) {
+                            p[b] = lo[b] + ib;
+                            for (let ia = 0; ia < sizeA; ia++) {
+                                p[a] = lo[a] + ia;
+                                const id = volume[p[0] + p[2] * width + p[1] * layerSize];
+                                // Faces merge per block state (not just per material), so every
+                                // quad can be highlighted on its own
+                                let m = 0;
+                                if (opaque[id]) {
+                                    p[n] = k + step;
+                                    if (!isOpaqueAt(p[0], p[1], p[2])) m = id;
+                                    p[n] = k;
+                                }
+                                mask[ia + ib * sizeA] = m;
+                            }
+                        }
+
+                        for (let ib = 0; ib < sizeB; ib++) {
+                            for (let ia = 0; ia < sizeA;) {
+                                const m = mask[ia + ib * sizeA];
+                                if (m === 0) {
+                                    ia++;
+                                    continue;
+                                }
+                                let w = 1;
+                                while (ia + w < sizeA && mask[ia + w + ib * sizeA] === m) w++;
+                                let h = 1;
+                                if (mergeB) {
+                                    grow: while (ib + h < sizeB) {
+                                        for (let da = 0; da < w; da++) {
+                                            if (mask[ia + da + (ib + h) * sizeA] !== m) break grow;
+                                        }
+                                        h++;
+                                    }
+                                }
+                                for (let db = 0; db < h; db++) {
+                                    mask.fill(0, ia + (ib + db) * sizeA, ia + w + (ib + db) * sizeA);
+                                }
+
+                                const min = [0, 0, 0];
+                                const max = [0, 0, 0];
+                                min[n] = max[n] = k;
+                                min[a] = lo[a] + ia;
+                                max[a] = min[a] + w;
+                                min[b] = lo[b] + ib;
+                                max[b] = min[b] + h;
+                                const out = buffers[faceMaterialIds[m * 6 + f]];
+                                pushFace(out, face, min, max.map((v, axis) => axis === n ? v + 1 : v), offset);
+                                const layer = n === 1 ? k : min[1];
+                                out.layers.push(layer, layer, layer, layer);
+                                out.states.push(m, m, m, m);
+                                ia += w;
+                            }
+                        }
                     }
                 }
+
+                await maybeYield(yieldState);
             }
         }
     }
 
-    // 2. Second Pass: Build InstancedMeshes
-    const geometry = new THREE.BoxGeometry(1, 1, 1);
-    const dummy = new THREE.Object3D();
-    for (const [key, groupData] of groups.entries()) {
-        const { textureSrc, validImg, colorHex, positions } = groupData;
-
-        // Base material setup
-        const materialOpts = { transparent: false };
-
-        if (validImg) {
-            // Create texture instantly from preloaded HTMLImageElement 
-            const tex = new THREE.Texture(validImg);
-            tex.minFilter = THREE.NearestFilter;
-            tex.magFilter = THREE.NearestFilter;
-            tex.colorSpace = THREE.SRGBColorSpace;
-            tex.needsUpdate = true; // Crucial when passing Image directly
-            materialOpts.map = tex;
-
-            // Apply biome tint if it has one
-            if (colorHex && colorHex !== '#FF00FF') {
-                // Only tint grass/leaves specifically when they have textures
-                if (textureSrc.includes('leaves') || textureSrc.includes('grass') || textureSrc.includes('fern') || textureSrc.includes('vine')) {
-                    materialOpts.color = new THREE.Color(colorHex);
-                } else {
-                    materialOpts.color = new THREE.Color(0xffffff); // Ensure base white
-                }
-            } else {
-                materialOpts.color = new THREE.Color(0xffffff);
-            }
-
-            // Basic transparency support for glass, ice, leaves
-            if (textureSrc.includes('glass') || textureSrc.includes('ice') || textureSrc.includes('leaves')) {
-                materialOpts.transparent = true;
-                if (!textureSrc.includes('leaves') && !textureSrc.includes('glass')) {
-                    materialOpts.opacity = 0.5;
-                }
-                materialOpts.alphaTest = 0.1; // Fix sorting issues mostly
-            }
-        } else {
-            // Fallback to solid color instantly
-            materialOpts.color = new THREE.Color(colorHex);
-        }
+    // 3. Merged meshes, one per face material
+    buffers.forEach((out, matId) => {
+        if (out.indices.length === 0) return;
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(out.positions, 3));
+        geometry.setAttribute('normal', new THREE.Float32BufferAttribute(out.normals, 3));
+        geometry.setAttribute('uv', new THREE.Float32BufferAttribute(out.uvs, 2));
+        const colors = new THREE.Float32BufferAttribute(new Float32Array(out.layers.length * 3).fill(1.0), 3);
+        colors.setUsage(THREE.DynamicDrawUsage);
+        geometry.setAttribute('color', colors);
+        geometry.setIndex(out.indices);
+        geometries.push(geometry);
+
+        const mesh = new THREE.Mesh(geometry, mergedMaterials[matId]);
+        mesh.userData.layers = Int32Array.from(out.layers);
+        mesh.userData.states = Uint32Array.from(out.states);
+        scene.add(mesh);
+        meshes.push(mesh);
+    });
 
-        const material = new THREE.MeshLambertMaterial(materialOpts);
-        const mesh = new THREE.InstancedMesh(geometry, material, positions.length);
+    // 4. InstancedMeshes for everything else
+    const dummy = new THREE.Object3D();
+    const geometryCache = new Map();
+    for (const { state, cells, ids } of instanceGroups.values()) {
+        const count = cells.length / 3;
+        const geometry = getShapeGeometry(state.shape, geometryCache);
+        const materials = state.faces.map(face => getFaceMaterial(face, state.colorHex, materialCache));
+        const mesh = new THREE.InstancedMesh(geometry, materials, count);
 
         // Pre-allocate instance colors for fast highlighting updates
-        const colorArray = new Float32Array(positions.length * 3);
+        const colorArray = new Float32Array(count * 3);
         colorArray.fill(1.0);
         mesh.instanceColor = new THREE.InstancedBufferAttribute(colorArray, 3);
         mesh.instanceColor.setUsage(THREE.DynamicDrawUsage);
 
-        // Store group keys so we can manage cleanup natively
-        blockGroups.set(key, positions);
-
-        for (let i = 0; i < positions.length; i++) {
-            const pos = positions[i];
-            // Center the entire structure around 0,0,0
-            dummy.position.set(
-                pos.x - width / 2 + 0.5,
-                pos.y,
-                pos.z - length / 2 + 0.5
-            );
+        const layers = new Int32Array(count);
+        for (let j = 0; j < count; j++) {
+            const [x, y, z] = [cells[j * 3], cells[j * 3 + 1], cells[j * 3 + 2]];
+            dummy.position.set(x - width / 2 + 0.5, y, z - length / 2 + 0.5);
             dummy.updateMatrix();
-            mesh.setMatrixAt(i, dummy.matrix);
+            mesh.setMatrixAt(j, dummy.matrix);
+            layers[j] = y;
         }
+        mesh.userData.layers = layers;
+        mesh.userData.states = Uint32Array.from(ids);
 
         // Performance optimization
         mesh.instanceMatrix.needsUpdate = true;
 
         scene.add(mesh);
-        instancedMeshes.push(mesh);
+        meshes.push(mesh);
 
-        await new Promise(resolve => setTimeout(resolve, 0)); // Yield
+        await maybeYield(yieldState);
     }
 
-    // 3. Reset Camera to fit bounding box
+    applyHighlights();
+
+    // 5. Reset Camera to fit bounding box
     const maxDim = Math.max(width, height, length);
     camera.position.set(maxDim * 0.8, maxDim * 0.8, maxDim * 0.8);
     controls.target.set(0, height / 2, 0); // Look at center
@@ -261,32 +584,61 @@ export function resetCamera3D(schematic) {
  * Uses direct Float32Array manipulation for extreme performance (millisecond execution).
  */
 export function setHighlightLayer3D(layerIndex, isEnabled) {
-    if (!isInitialized || instancedMeshes.length === 0) return;
+    highlight.layer = layerIndex;
+    highlight.layerEnabled = isEnabled;
+    applyHighlights();
+}
+
+/**
+ * Highlights every block of the given palette indices across all layers, dimming the rest.
+ * @param {Uint8Array|null} matches - 1 per palette index to highlight, or null to clear
+ */
+export function setMatchHighlight3D(matches) {
+    highlight.matches = matches;
+    applyHighlights();
+}
 
-    for (const [key, positions] of blockGroups.entries()) {
-        const meshIndex = Array.from(blockGroups.keys()).indexOf(key);
-        const mesh = instancedMeshes[meshIndex];
-        if (!mesh || !mesh.instanceColor) continue;
+/** Write the layer / match highlights into the vertex and instance colors */
+function applyHighlights() {
+    if (!isInitialized || meshes.length === 0) return;
+
+    // Built state ids to highlight (air is state 0 and never matches)
+    let matchState = null;
+    if (highlight.matches) {
+        matchState = new Uint8Array(stateOfIndex.reduce((max, id) => Math.max(max, id), 0) + 1);
+        highlight.matches.forEach((match, idx) => {
+            if (match && idx < stateOfIndex.length) matchState[stateOfIndex[idx]] = 1;
+        });
+        matchState[0] = 0;
+    }
+    const { layer, layerEnabled } = highlight;
 
-        const colors = mesh.instanceColor.array;
+    for (const mesh of meshes) {
+        const attribute = mesh.isInstancedMesh ? mesh.instanceColor : mesh.geometry.getAttribute('color');
+        const colors = attribute.array;
+        const { layers, states } = mesh.userData;
 
         // Use a simple flat array for extreme CPU speed
-        for (let i = 0; i < positions.length; i++) {
-            const y = positions[i].y;
+        for (let i = 0; i < layers.length; i++) {
             const idx = i * 3;
+            if (matchState && matchState[states[i]]) {
+                colors[idx] = MATCH_COLOR[0];
+                colors[idx + 1] = MATCH_COLOR[1];
+                colors[idx + 2] = MATCH_COLOR[2];
+                continue;
+            }
 
             let intensity = 1.0;
-            if (isEnabled) {
-                // Dim blocks not on the current layer
-                intensity = (y === layerIndex) ? 1.0 : 0.08;
-            }
+            // Dim blocks not on the current layer
+            if (layerEnabled && layers[i] !== layer) intensity = 0.08;
+            if (matchState) intensity = Math.min(intensity, 0.15);
 
             colors[idx] = intensity;     // R
             colors[idx + 1] = intensity; // G
             colors[idx + 2] = intensity; // B
         }
 
-        mesh.instanceColor.needsUpdate = true;
+        attribute.needsUpdate = true;
     }
 }
 